@@ -4,63 +4,142 @@ const morgan = require('morgan'); // For logging
 const helmet = require('helmet'); // For security
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
+const config = require('./stock-price-api/config');
+const { applyLogLevel, isLevelEnabled } = require('./stock-price-api/utils/logLevel');
+
+// Silence console output more verbose than config.server.logLevel before anything logs
+applyLogLevel(config.server.logLevel);
 
 // Import routes
 const stockRoutes = require('./stock-price-api/routes/stockRoutes');
 const correlationRoutes = require('./stock-price-api/routes/correlationRoutes');
+const streamRoutes = require('./stock-price-api/routes/streamRoutes');
+const sectorRoutes = require('./stock-price-api/routes/sectorRoutes');
+const portfolioRoutes = require('./stock-price-api/routes/portfolioRoutes');
+const alertRoutes = require('./stock-price-api/routes/alertRoutes');
+const adminRoutes = require('./stock-price-api/routes/adminRoutes');
+const configRoutes = require('./stock-price-api/routes/configRoutes');
+const { authenticate, enforceDailyQuota } = require('./stock-price-api/middleware/auth');
 const { initializeCache } = require('./stock-price-api/services/cacheService');
+const { getStreamStats } = require('./stock-price-api/services/priceStreamService');
+const { getCoalescingStats, getCircuitBreakerStats } = require('./stock-price-api/services/stockApiService');
+const { getTickStoreStats } = require('./stock-price-api/services/tickStore');
+const { getAlertStats } = require('./stock-price-api/services/alertService');
+const { initializeApiKeys, getApiKeyStats } = require('./stock-price-api/services/apiKeyService');
+const { requestContext } = require('./stock-price-api/utils/requestContext');
 
-// Environment variables
-const PORT = process.env.PORT || 3000;
+// Settings come from config, validated when it was loaded
+const PORT = config.server.port;
 
 // Create Express app
 const app = express();
 
 // Initialize cache on startup
 initializeCache();
+initializeApiKeys();
 
 // Apply middleware
 app.use(helmet()); // Security headers
-app.use(cors());
+app.use(cors({
+  // Let browser clients read their usage
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-API-Tier',
+    'X-Quota-Used', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After']
+}));
 app.use(express.json());
+app.use(requestContext);
 
 // Custom logging format - more human readable
 morgan.token('request-summary', (req) => {
   return `${req.method} ${req.url} - ${req.get('user-agent') || 'Unknown UA'}`;
 });
 
-// Use custom morgan format for logging
-app.use(morgan(':request-summary - :status - :response-time ms'));
+// Upstream retries performed while handling the request, e.g. "2 (HTTP 503, timeout)"
+morgan.token('upstream-retries', (req) => {
+  const retries = req.context ? req.context.upstreamRetries : [];
+  if (retries.length === 0) {
+    return '0';
+  }
+  return `${retries.length} (${retries.map(retry => retry.reason).join(', ')})`;
+});
+
+// Use custom morgan format for logging; the access log is info level
+app.use(morgan(':request-summary - :status - :response-time ms - upstream retries: :upstream-retries', {
+  skip: () => !isLevelEnabled('info', config.server.logLevel)
+}));
+
+// Health check endpoint - registered before authentication and rate limiting
+// so load balancers can probe it without a key
+app.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    streams: getStreamStats(),
+    upstream: {
+      ...getCoalescingStats(),
+      circuitBreakers: getCircuitBreakerStats()
+    },
+    tickStore: getTickStoreStats(),
+    alerts: getAlertStats(),
+    auth: getApiKeyStats()
+  });
+});
+
+// Admin routes check the admin key themselves and aren't subject to client limits.
+// Their own per-IP limit counts failed requests only, so the admin key can't be guessed
+// at full speed while a working admin isn't throttled
+const adminLimiter = rateLimit({
+  windowMs: config.rateLimit.windowMs,
+  max: config.auth.adminRateLimit,
+  skipSuccessfulRequests: true,
+  message: config.rateLimit.message,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use('/admin', adminLimiter, adminRoutes);
+app.use('/config', adminLimiter, configRoutes);
+
+// Identify the caller by API key (sets req.apiKey; null for anonymous requests)
+app.use(authenticate);
 
 // Rate limiting - prevent abuse
+// Each API key has its own counter and its tier's limit; anonymous requests share one per IP
 const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: "Too many requests, please try again after a while",
+  windowMs: config.rateLimit.windowMs,
+  max: (req) => (req.apiKey ? config.auth.tiers[req.apiKey.tier].rateLimit : config.rateLimit.max), // anonymous: per IP per windowMs
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
+  message: config.rateLimit.message,
   standardHeaders: true,
   legacyHeaders: false,
 });
 app.use(apiLimiter);
 
+// Daily quotas of API keys, with usage headers
+app.use(enforceDailyQuota);
+
 // Register routes
 app.use('/stocks', stockRoutes);
 app.use('/stockcorrelation', correlationRoutes);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+app.use('/stream', streamRoutes);
+app.use('/sectors', sectorRoutes);
+app.use('/portfolio', portfolioRoutes);
+app.use('/alerts', alertRoutes); // Always needs an API key, even when AUTH_REQUIRE_KEY is off
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(`Error occurred: ${err.stack}`);
   
   // Don't expose error details in production
-  const isDevelopment = process.env.NODE_ENV !== 'production';
+  const isDevelopment = config.server.env !== 'production';
+  
+  // Tell clients when to come back, e.g. while the upstream circuit is open
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
   
   res.status(err.status || 500).json({
     error: {
       message: err.message,
+      ...(err.suggestions && { suggestions: err.suggestions }),
       ...(isDevelopment && { stack: err.stack }),
     }
   });
@@ -1,5 +1,6 @@
 // config/index.js - Configuration management
 const path = require('path');
+const { validateConfig } = require('./schema');
 
 // Try to load environment variables from .env file if not in production
 if (process.env.NODE_ENV !== 'production') {
@@ -10,43 +11,154 @@ if (process.env.NODE_ENV !== 'production') {
   }
 }
 
-module.exports = {
+// Environment readers. A variable that is set but can't be read as the
+// expected type is kept as its raw string, so validation reports it instead
+// of silently falling back to the default.
+const readInt = (name, defaultValue) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+  const value = Number(raw);
+  return Number.isInteger(value) ? value : raw;
+};
+
+// Comma-separated list; empty entries are dropped
+const readList = (name, defaultValue) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+  return raw.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+};
+
+const readBoolean = (name, defaultValue) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+  return raw === 'true' ? true : raw === 'false' ? false : raw;
+};
+
+const config = {
   // Server configuration
   server: {
-    port: process.env.PORT || 3000,
+    port: readInt('PORT', 3000),
     env: process.env.NODE_ENV || 'development',
-    logLevel: process.env.LOG_LEVEL || 'info'
+    logLevel: process.env.LOG_LEVEL || 'info' // error, warn, info or debug; more verbose output is silenced
   },
   
   // Stock API configuration
   stockApi: {
     baseUrl: process.env.STOCK_API_URL || 'http://stock-exchange-api',
-    timeout: parseInt(process.env.API_TIMEOUT) || 5000,
-    retryAttempts: parseInt(process.env.API_RETRY_ATTEMPTS) || 3
+    timeout: readInt('API_TIMEOUT', 5000),
+    retryAttempts: readInt('API_RETRY_ATTEMPTS', 3), // Attempts per request, including the first
+    retryDeadline: readInt('API_RETRY_DEADLINE', 10000), // Overall budget for all attempts and waits (ms)
+    retryBaseDelay: readInt('API_RETRY_BASE_DELAY', 300), // Backoff before the first retry, doubling after (ms)
+    retryMaxDelay: readInt('API_RETRY_MAX_DELAY', 5000), // Cap on the backoff (ms)
+    // Per-host circuit breaker around the API client
+    circuitBreaker: {
+      failureThreshold: readInt('API_BREAKER_FAILURE_THRESHOLD', 5), // Consecutive failures that open it
+      resetTimeout: readInt('API_BREAKER_RESET_TIMEOUT', 30000), // Time open before a trial call (ms)
+      halfOpenMaxCalls: readInt('API_BREAKER_HALF_OPEN_CALLS', 1) // Concurrent trial calls while half-open
+    }
   },
   
   // Cache configuration
   cache: {
+    // Storage backend: 'memory' (per process) or 'redis' (shared between replicas)
+    backend: process.env.CACHE_BACKEND || 'memory',
+    redis: {
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      keyPrefix: process.env.REDIS_KEY_PREFIX || 'stock-api:'
+    },
+    // Expired upstream data is served at once (refreshing in the background)
+    // for this many seconds past its TTL...
+    staleWhileRevalidate: readInt('CACHE_STALE_WHILE_REVALIDATE', 30),
+    // ...and kept this many seconds past its TTL as a fallback when the upstream fails
+    staleIfError: readInt('CACHE_STALE_IF_ERROR', 600),
     // Short-term cache for very recent data (seconds)
     shortTerm: {
-      ttl: parseInt(process.env.SHORT_CACHE_TTL) || 10,
-      checkPeriod: parseInt(process.env.SHORT_CACHE_CHECK) || 5
+      ttl: readInt('SHORT_CACHE_TTL', 10),
+      checkPeriod: readInt('SHORT_CACHE_CHECK', 5)
     },
     // Medium-term cache (seconds)
     mediumTerm: {
-      ttl: parseInt(process.env.MEDIUM_CACHE_TTL) || 60,
-      checkPeriod: parseInt(process.env.MEDIUM_CACHE_CHECK) || 30
+      ttl: readInt('MEDIUM_CACHE_TTL', 60),
+      checkPeriod: readInt('MEDIUM_CACHE_CHECK', 30)
     },
     // Long-term cache for historical data (seconds)
     longTerm: {
-      ttl: parseInt(process.env.LONG_CACHE_TTL) || 300,
-      checkPeriod: parseInt(process.env.LONG_CACHE_CHECK) || 150
+      ttl: readInt('LONG_CACHE_TTL', 300),
+      checkPeriod: readInt('LONG_CACHE_CHECK', 150)
+    },
+    // Upstream responses (seconds)
+    currentPriceTtl: readInt('CURRENT_PRICE_CACHE_TTL', 5),
+    // A raw history lives until its next tick is due, within these bounds
+    historyMinTtl: readInt('HISTORY_CACHE_MIN_TTL', 5),
+    historyMaxTtl: readInt('HISTORY_CACHE_MAX_TTL', 60)
+  },
+  
+  // Local tick store, keeping history beyond the upstream's two-hour window
+  tickStore: {
+    enabled: readBoolean('TICK_STORE_ENABLED', true),
+    directory: process.env.TICK_STORE_DIR || path.resolve(__dirname, '../../data/ticks'), // One JSONL file per ticker
+    retentionDays: readInt('TICK_STORE_RETENTION_DAYS', 30) // Older ticks are ignored on load
+  },
+  
+  // Symbol directory (the tickers the exchange lists)
+  symbols: {
+    directoryTtl: readInt('SYMBOL_DIRECTORY_TTL', 3600), // Seconds before the listing is refetched
+    maxSuggestions: readInt('SYMBOL_MAX_SUGGESTIONS', 3) // "Did you mean" candidates for unknown tickers
+  },
+  
+  // Real-time price streaming configuration
+  stream: {
+    pollInterval: readInt('STREAM_POLL_INTERVAL', 5000), // Upstream poll per ticker (ms)
+    heartbeatInterval: readInt('STREAM_HEARTBEAT_INTERVAL', 15000), // Keep-alive comments (ms)
+    maxStreams: readInt('STREAM_MAX_STREAMS', 100), // Concurrent streams across all clients
+    maxTickersPerStream: readInt('STREAM_MAX_TICKERS', 10)
+  },
+  
+  // Price alerts and their webhook delivery
+  alerts: {
+    evaluationInterval: readInt('ALERT_EVALUATION_INTERVAL', 15000), // Time between rule evaluations (ms)
+    defaultCooldown: readInt('ALERT_DEFAULT_COOLDOWN', 300), // Quiet period after a rule fires (seconds)
+    maxRules: readInt('ALERT_MAX_RULES', 100),
+    deliveryHistory: readInt('ALERT_DELIVERY_HISTORY', 20), // Deliveries kept per rule for inspection
+    webhook: {
+      attempts: readInt('WEBHOOK_ATTEMPTS', 5), // Attempts per delivery, including the first
+      timeout: readInt('WEBHOOK_TIMEOUT', 5000), // Per attempt (ms)
+      baseDelay: readInt('WEBHOOK_BASE_DELAY', 1000), // Backoff before the first retry, doubling after (ms)
+      maxDelay: readInt('WEBHOOK_MAX_DELAY', 60000), // Cap on the backoff (ms)
+      // Hosts webhooks may reach even on loopback, private or link-local addresses
+      allowedHosts: readList('WEBHOOK_ALLOWED_HOSTS', [])
+    }
+  },
+  
+  // API key authentication
+  auth: {
+    requireKey: readBoolean('AUTH_REQUIRE_KEY', false), // Otherwise keyless requests share the per-IP limit
+    keysFile: process.env.API_KEYS_FILE || path.resolve(__dirname, '../../data/api-keys.json'), // Issued keys (hashed)
+    adminKey: process.env.ADMIN_API_KEY || null, // Unlocks the /admin routes; they are disabled without it
+    adminRateLimit: readInt('ADMIN_RATE_LIMIT', 20), // Failed admin requests per IP per rate limit window
+    // Per-tier limits for keyed requests: requests per rate limit window, and per UTC day (null = unlimited)
+    tiers: {
+      free: { rateLimit: 100, dailyQuota: 1000 },
+      standard: { rateLimit: 1000, dailyQuota: 50000 },
+      internal: { rateLimit: 10000, dailyQuota: null }
     }
   },
   
   // Rate limiting configuration
   rateLimit: {
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
-    max: parseInt(process.env.RATE_LIMIT_MAX) || 100 // limit each IP to 100 requests per windowMs
+    windowMs: readInt('RATE_LIMIT_WINDOW', 15 * 60 * 1000), // 15 minutes
+    max: readInt('RATE_LIMIT_MAX', 100), // limit each IP to 100 requests per windowMs (anonymous requests)
+    message: 'Too many requests, please try again after a while'
   }
-};
\ No newline at end of file
+};
+
+// Refuse to start with values the app can't run on
+validateConfig(config);
+
+module.exports = config;
\ No newline at end of file
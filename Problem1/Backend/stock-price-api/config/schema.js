@@ -0,0 +1,245 @@
+// config/schema.js - Schema the configuration is validated against at startup
+//
+// The schema mirrors the shape of the configuration. Each leaf is a rule:
+// { type, min, max, values, nullable, secret }; { each: {...} } describes a
+// map whose entries all share one shape (e.g. the auth tiers).
+
+const { LOG_LEVELS } = require('../utils/logLevel');
+
+// Rule builders
+const integer = (min, max = Infinity) => ({ type: 'integer', min, max });
+const boolean = () => ({ type: 'boolean' });
+const string = () => ({ type: 'string' });
+const oneOf = (...values) => ({ type: 'oneOf', values });
+const url = (...protocols) => ({ type: 'url', protocols });
+const list = () => ({ type: 'list' });
+
+const schema = {
+  server: {
+    port: integer(0, 65535),
+    env: string(),
+    logLevel: oneOf(...LOG_LEVELS)
+  },
+  stockApi: {
+    baseUrl: url('http:', 'https:'),
+    timeout: integer(1),
+    retryAttempts: integer(1, 10),
+    retryDeadline: integer(1),
+    retryBaseDelay: integer(0),
+    retryMaxDelay: integer(0),
+    circuitBreaker: {
+      failureThreshold: integer(1),
+      resetTimeout: integer(1),
+      halfOpenMaxCalls: integer(1)
+    }
+  },
+  cache: {
+    backend: oneOf('memory', 'redis'),
+    redis: {
+      url: url('redis:', 'rediss:'),
+      keyPrefix: string()
+    },
+    staleWhileRevalidate: integer(0),
+    staleIfError: integer(0),
+    shortTerm: { ttl: integer(1), checkPeriod: integer(1) },
+    mediumTerm: { ttl: integer(1), checkPeriod: integer(1) },
+    longTerm: { ttl: integer(1), checkPeriod: integer(1) },
+    currentPriceTtl: integer(1),
+    historyMinTtl: integer(1),
+    historyMaxTtl: integer(1)
+  },
+  tickStore: {
+    enabled: boolean(),
+    directory: string(),
+    retentionDays: integer(1)
+  },
+  symbols: {
+    directoryTtl: integer(1),
+    maxSuggestions: integer(0)
+  },
+  stream: {
+    pollInterval: integer(100),
+    heartbeatInterval: integer(1000),
+    maxStreams: integer(1),
+    maxTickersPerStream: integer(1)
+  },
+  alerts: {
+    evaluationInterval: integer(100),
+    defaultCooldown: integer(0),
+    maxRules: integer(1),
+    deliveryHistory: integer(1),
+    webhook: {
+      attempts: integer(1, 10),
+      timeout: integer(1),
+      baseDelay: integer(0),
+      maxDelay: integer(0),
+      allowedHosts: list()
+    }
+  },
+  auth: {
+    requireKey: boolean(),
+    keysFile: string(),
+    adminKey: { ...string(), minLength: 16, nullable: true, secret: true },
+    adminRateLimit: integer(1),
+    tiers: {
+      each: {
+        rateLimit: integer(1),
+        dailyQuota: { ...integer(1), nullable: true }
+      }
+    }
+  },
+  rateLimit: {
+    windowMs: integer(1000),
+    max: integer(1),
+    message: string()
+  }
+};
+
+// Rules between settings: [paths, test, message]
+const crossChecks = [
+  [['stockApi.retryBaseDelay', 'stockApi.retryMaxDelay'], (base, max) => max >= base,
+    'stockApi.retryMaxDelay must be at least stockApi.retryBaseDelay'],
+  [['cache.historyMinTtl', 'cache.historyMaxTtl'], (min, max) => max >= min,
+    'cache.historyMaxTtl must be at least cache.historyMinTtl'],
+  [['alerts.webhook.baseDelay', 'alerts.webhook.maxDelay'], (base, max) => max >= base,
+    'alerts.webhook.maxDelay must be at least alerts.webhook.baseDelay']
+];
+
+const isRule = (node) => typeof node.type === 'string';
+
+/**
+ * Describe what a rule accepts, for error messages
+ */
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case 'integer':
+      return rule.max === Infinity ? `an integer of at least ${rule.min}` : `an integer from ${rule.min} to ${rule.max}`;
+    case 'boolean':
+      return 'true or false';
+    case 'oneOf':
+      return `one of: ${rule.values.join(', ')}`;
+    case 'url':
+      return `a URL starting with ${rule.protocols.map(protocol => `${protocol}//`).join(' or ')}`;
+    case 'list':
+      return 'a list of non-empty strings';
+    default:
+      return rule.minLength ? `a string of at least ${rule.minLength} characters` : 'a non-empty string';
+  }
+};
+
+/**
+ * Check one value against its rule
+ */
+const matchesRule = (rule, value) => {
+  if (value === null && rule.nullable) {
+    return true;
+  }
+  
+  switch (rule.type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= rule.min && value <= rule.max;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'oneOf':
+      return rule.values.includes(value);
+    case 'url':
+      try {
+        return rule.protocols.includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    case 'list':
+      return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry !== '');
+    default:
+      return typeof value === 'string' && value.length >= (rule.minLength || 1);
+  }
+};
+
+/**
+ * Walk a config section alongside its schema, calling visit(rule, value, path)
+ * for every leaf. Settings the schema doesn't know are reported too, so a new
+ * setting can't skip validation.
+ */
+const walk = (node, value, path, visit, problems) => {
+  if (isRule(node)) {
+    visit(node, value, path);
+    return;
+  }
+  
+  if (!value || typeof value !== 'object') {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+  
+  const shapes = node.each
+    ? Object.keys(value).map(key => [key, node.each])
+    : Object.entries(node);
+  shapes.forEach(([key, child]) => walk(child, value[key], path ? `${path}.${key}` : key, visit, problems));
+  
+  if (!node.each) {
+    Object.keys(value)
+      .filter(key => !(key in node))
+      .forEach(key => problems.push(`${path ? `${path}.${key}` : key} has no schema entry`));
+  }
+};
+
+const getPath = (config, path) => path.split('.').reduce((value, key) => value?.[key], config);
+
+/**
+ * Validate the configuration, throwing one error that lists every problem
+ */
+const validateConfig = (config) => {
+  const problems = [];
+  
+  walk(schema, config, '', (rule, value, path) => {
+    if (!matchesRule(rule, value)) {
+      const shown = rule.secret ? '[redacted]' : JSON.stringify(value);
+      problems.push(`${path} must be ${describeRule(rule)}, got ${shown}`);
+    }
+  }, problems);
+  
+  // Cross checks only make sense once the settings involved are valid
+  if (problems.length === 0) {
+    crossChecks.forEach(([paths, test, message]) => {
+      if (!test(...paths.map(path => getPath(config, path)))) {
+        problems.push(message);
+      }
+    });
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+};
+
+/**
+ * A copy of the configuration that is safe to show: secrets are replaced and
+ * credentials are stripped from URLs
+ */
+const redactConfig = (config) => {
+  const redacted = JSON.parse(JSON.stringify(config));
+  
+  walk(schema, config, '', (rule, value, path) => {
+    const keys = path.split('.');
+    const parent = getPath(redacted, keys.slice(0, -1).join('.')) || redacted;
+    const key = keys[keys.length - 1];
+    
+    if (rule.secret && value !== null) {
+      parent[key] = '[redacted]';
+    } else if (rule.type === 'url') {
+      const parsed = new URL(value);
+      if (parsed.username || parsed.password) {
+        parsed.username = parsed.username && 'redacted';
+        parsed.password = parsed.password && 'redacted';
+        parent[key] = parsed.toString();
+      }
+    }
+  }, []);
+  
+  return redacted;
+};
+
+module.exports = {
+  validateConfig,
+  redactConfig
+};
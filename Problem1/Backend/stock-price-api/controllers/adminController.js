@@ -0,0 +1,72 @@
+// controllers/adminController.js - Handler for administrative endpoints
+const createError = require('http-errors');
+const config = require('../config');
+const { redactConfig } = require('../config/schema');
+const { issueKey, listKeys, revokeKey } = require('../services/apiKeyService');
+
+/**
+ * Issue an API key
+ * The response is the only place the key itself is shown
+ */
+exports.issueKey = async (req, res, next) => {
+  try {
+    const apiKey = await issueKey(req.validatedParams);
+    
+    // Send response
+    return res.status(201).json(apiKey);
+  } catch (err) {
+    console.error(`Error in issueKey: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to issue API key: ${err.message}`));
+  }
+};
+
+/**
+ * List every API key with its usage today
+ */
+exports.listKeys = (req, res, next) => {
+  try {
+    const keys = listKeys();
+    
+    // Send response
+    return res.json({
+      count: keys.length,
+      keys
+    });
+  } catch (err) {
+    console.error(`Error in listKeys: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to list API keys: ${err.message}`));
+  }
+};
+
+/**
+ * Revoke an API key
+ */
+exports.revokeKey = async (req, res, next) => {
+  try {
+    return res.json(await revokeKey(req.params.id));
+  } catch (err) {
+    console.error(`Error in revokeKey: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to revoke API key: ${err.message}`));
+  }
+};
+
+/**
+ * Show the running configuration
+ * Secrets and URL credentials are redacted, so it is safe to paste into a ticket
+ */
+exports.getConfig = (req, res, next) => {
+  try {
+    return res.json(redactConfig(config));
+  } catch (err) {
+    console.error(`Error in getConfig: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to read configuration: ${err.message}`));
+  }
+};
@@ -0,0 +1,131 @@
+// controllers/alertController.js - Handler for price alert rules
+const createError = require('http-errors');
+const {
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  deleteAlert,
+  getAlertDeliveries,
+  sendTestAlert
+} = require('../services/alertService');
+
+/**
+ * Create an alert rule
+ * The response is the only place the webhook signing secret is shown
+ */
+exports.createAlert = (req, res, next) => {
+  try {
+    const alert = createAlert(req.validatedParams, req.apiKey.id);
+    
+    // Send response
+    return res.status(201).location(`${req.baseUrl}/${alert.id}`).json(alert);
+  } catch (err) {
+    console.error(`Error in createAlert: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to create alert: ${err.message}`));
+  }
+};
+
+/**
+ * List the caller's alert rules
+ */
+exports.listAlerts = (req, res, next) => {
+  try {
+    const alerts = listAlerts(req.apiKey.id);
+    
+    // Send response
+    return res.json({
+      count: alerts.length,
+      alerts
+    });
+  } catch (err) {
+    console.error(`Error in listAlerts: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to list alerts: ${err.message}`));
+  }
+};
+
+/**
+ * Get one alert rule and its evaluation state
+ */
+exports.getAlert = (req, res, next) => {
+  try {
+    return res.json(getAlert(req.params.id, req.apiKey.id));
+  } catch (err) {
+    console.error(`Error in getAlert: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to get alert: ${err.message}`));
+  }
+};
+
+/**
+ * Update some fields of an alert rule
+ * The response carries the signing secret when the update changed it
+ */
+exports.updateAlert = (req, res, next) => {
+  try {
+    return res.json(updateAlert(req.params.id, req.validatedParams, req.apiKey.id));
+  } catch (err) {
+    console.error(`Error in updateAlert: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to update alert: ${err.message}`));
+  }
+};
+
+/**
+ * Delete an alert rule
+ */
+exports.deleteAlert = (req, res, next) => {
+  try {
+    deleteAlert(req.params.id, req.apiKey.id);
+    return res.status(204).end();
+  } catch (err) {
+    console.error(`Error in deleteAlert: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to delete alert: ${err.message}`));
+  }
+};
+
+/**
+ * List an alert rule's recent webhook deliveries, newest first
+ */
+exports.listDeliveries = (req, res, next) => {
+  try {
+    const deliveries = getAlertDeliveries(req.params.id, req.apiKey.id);
+    
+    // Send response
+    return res.json({
+      count: deliveries.length,
+      deliveries
+    });
+  } catch (err) {
+    console.error(`Error in listDeliveries: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to list deliveries: ${err.message}`));
+  }
+};
+
+/**
+ * Send a signed test event to an alert rule's webhook and report the delivery
+ * Answers 502 when the receiver could not be reached or rejected the event
+ */
+exports.testAlert = async (req, res, next) => {
+  try {
+    const delivery = await sendTestAlert(req.params.id, req.apiKey.id);
+    
+    // Send response
+    return res.status(delivery.status === 'delivered' ? 200 : 502).json(delivery);
+  } catch (err) {
+    console.error(`Error in testAlert: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to send test alert: ${err.message}`));
+  }
+};
@@ -1,8 +1,50 @@
 // controllers/correlationController.js - Handler for stock correlation endpoints
 const createError = require('http-errors');
-const { fetchStockPriceHistory } = require('../services/stockApiService');
+const { fetchHistorySnapshot, sliceHistoryRange, describeStaleness } = require('../services/stockApiService');
 const { getCachedData, setCachedData } = require('../services/cacheService');
-const { calculateCorrelation, calculateAggregation, timeAlignPriceData } = require('../utils/mathUtils');
+const {
+  calculateCorrelation,
+  calculateCorrelationSignificance,
+  calculateAggregation,
+  calculateReturns,
+  timeAlignPriceData
+} = require('../utils/mathUtils');
+const {
+  resolveTimeWindow,
+  describeTimeWindow,
+  formatTimeWindow,
+  calculateWindowTtl
+} = require('../utils/timeWindow');
+
+/**
+ * Correlate two time-aligned price series on the requested basis and method
+ * Returns the coefficient and the number of observations it was computed from
+ */
+const correlateAlignedData = (alignedData, basis, method) => {
+  let xValues = alignedData.stock1.map(p => p.price);
+  let yValues = alignedData.stock2.map(p => p.price);
+  
+  // Difference the series first so trends don't dominate the result
+  if (basis !== 'price') {
+    xValues = calculateReturns(xValues, basis);
+    yValues = calculateReturns(yValues, basis);
+  }
+  
+  return {
+    correlation: calculateCorrelation(xValues, yValues, method),
+    observations: xValues.length
+  };
+};
+
+/**
+ * Build the 422 returned when too few aligned observations are available
+ */
+const insufficientSamplesError = (tickers, window, basis, observations, minSamples) => {
+  return createError(422,
+    `Only ${observations} aligned ${basis} observations are available for ${tickers.join(' and ')} ` +
+    `${formatTimeWindow(window)}, but at least ${minSamples} are required for a meaningful correlation. ` +
+    'Widen the window or lower minSamples to proceed.');
+};
 
 /**
  * Get correlation between two stocks
@@ -10,13 +52,18 @@ const { calculateCorrelation, calculateAggregation, timeAlignPriceData } = requi
 exports.getStockCorrelation = async (req, res, next) => {
   try {
     // Get validated parameters
-    const { tickers, minutes } = req.validatedParams;
+    const { tickers, minutes, from, to, basis, method, minSamples } = req.validatedParams;
     
     // Check if we have cached results
-    const cacheParams = { tickers, minutes };
-    const cachedResult = getCachedData('correlation', cacheParams);
+    const cacheParams = { tickers, minutes, from, to, basis, method };
+    const cachedResult = await getCachedData('correlation', cacheParams);
     
     if (cachedResult) {
+      // The cached coefficient still has to satisfy this request's guard
+      if (cachedResult.observations < minSamples) {
+        const window = resolveTimeWindow(req.validatedParams);
+        return next(insufficientSamplesError(tickers, window, basis, cachedResult.observations, minSamples));
+      }
       return res.json(cachedResult);
     }
     
@@ -26,14 +73,14 @@ exports.getStockCorrelation = async (req, res, next) => {
     }
     
     // Fetch historical price data for both stocks
-    const [stockData1, stockData2] = await Promise.all([
-      fetchStockPriceHistory(tickers[0], minutes),
-      fetchStockPriceHistory(tickers[1], minutes)
-    ]);
+    const since = resolveTimeWindow(req.validatedParams).start;
+    const snapshots = await Promise.all(tickers.map(ticker => fetchHistorySnapshot(ticker, since)));
+    const window = resolveTimeWindow(req.validatedParams);
+    const [stockData1, stockData2] = snapshots.map(snapshot => sliceHistoryRange(snapshot.history, window.start, window.end));
     
     // Handle case with insufficient data
     if (!stockData1?.length || !stockData2?.length) {
-      return next(createError(404, `Insufficient data for one or both stocks in the last ${minutes} minutes`));
+      return next(createError(404, `Insufficient data for one or both stocks ${formatTimeWindow(window)}`));
     }
     
     // We need data points for correlation
@@ -44,11 +91,13 @@ exports.getStockCorrelation = async (req, res, next) => {
     // Time-align the price data for accurate correlation
     const alignedData = timeAlignPriceData(stockData1, stockData2);
     
-    // Calculate correlation
-    const correlation = calculateCorrelation(
-      alignedData.stock1.map(p => p.price),
-      alignedData.stock2.map(p => p.price)
-    );
+    // Calculate correlation on the requested basis
+    const { correlation, observations } = correlateAlignedData(alignedData, basis, method);
+    
+    // Refuse to report a coefficient built from too few observations
+    if (observations < minSamples) {
+      return next(insufficientSamplesError(tickers, window, basis, observations, minSamples));
+    }
     
     // Calculate average prices
     const averagePrice1 = calculateAggregation(stockData1.map(p => p.price), 'average');
@@ -57,6 +106,11 @@ exports.getStockCorrelation = async (req, res, next) => {
     // Prepare response
     const result = {
       correlation: parseFloat(correlation.toFixed(4)), // Round to 4 decimal places
+      basis,
+      method,
+      observations,
+      significance: calculateCorrelationSignificance(correlation, observations, method),
+      window: describeTimeWindow(window),
       stocks: {
         [tickers[0]]: {
           averagePrice: averagePrice1,
@@ -66,12 +120,14 @@ exports.getStockCorrelation = async (req, res, next) => {
           averagePrice: averagePrice2,
           priceHistory: stockData2
         }
-      }
+      },
+      ...describeStaleness(...snapshots)
     };
     
-    // Cache the result
-    const cacheTtl = Math.min(Math.max(minutes * 0.1, 10), 60);
-    setCachedData('correlation', cacheParams, result, cacheTtl);
+    // Cache the result, unless it was built from stale data
+    if (!result.stale) {
+      await setCachedData('correlation', cacheParams, result, calculateWindowTtl(window, 10, 60));
+    }
     
     // Send response
     return res.json(result);
@@ -81,4 +137,102 @@ exports.getStockCorrelation = async (req, res, next) => {
     // Pass error to error handler
     next(err.status ? err : createError(500, `Failed to calculate correlation: ${err.message}`));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the pairwise correlation matrix for several stocks
+ */
+exports.getCorrelationMatrix = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { tickers, minutes, from, to, basis, method } = req.validatedParams;
+    
+    // Check if we have cached results
+    const cacheParams = { tickers, minutes, from, to, basis, method };
+    const cachedResult = await getCachedData('correlationMatrix', cacheParams);
+    
+    if (cachedResult) {
+      return res.json(cachedResult);
+    }
+    
+    // Fetch each price history exactly once
+    const since = resolveTimeWindow(req.validatedParams).start;
+    const snapshots = await Promise.all(tickers.map(ticker => fetchHistorySnapshot(ticker, since)));
+    const window = resolveTimeWindow(req.validatedParams);
+    const histories = snapshots.map(snapshot => sliceHistoryRange(snapshot.history, window.start, window.end));
+    
+    // Start with an empty symmetric matrix
+    const matrix = tickers.map(() => tickers.map(() => null));
+    const sampleCounts = tickers.map(() => tickers.map(() => 0));
+    
+    for (let i = 0; i < tickers.length; i++) {
+      const history = histories[i] || [];
+      
+      // A stock is perfectly correlated with itself, given enough data
+      const ownObservations = basis === 'price' ? history.length : Math.max(history.length - 1, 0);
+      matrix[i][i] = ownObservations >= 2 ? 1 : null;
+      sampleCounts[i][i] = ownObservations;
+      
+      for (let j = i + 1; j < tickers.length; j++) {
+        const otherHistory = histories[j] || [];
+        
+        // Leave the pair empty when either side has too few points
+        if (history.length < 2 || otherHistory.length < 2) {
+          continue;
+        }
+        
+        // Time-align the pair the same way as the two-ticker endpoint
+        const alignedData = timeAlignPriceData(history, otherHistory);
+        const { correlation, observations } = correlateAlignedData(alignedData, basis, method);
+        
+        sampleCounts[i][j] = observations;
+        sampleCounts[j][i] = observations;
+        
+        // Not enough observations left after differencing
+        if (observations < 2) {
+          continue;
+        }
+        
+        const roundedCorrelation = parseFloat(correlation.toFixed(4));
+        matrix[i][j] = roundedCorrelation;
+        matrix[j][i] = roundedCorrelation;
+      }
+    }
+    
+    // Summarize each stock without repeating the full histories
+    const stocks = {};
+    tickers.forEach((ticker, index) => {
+      const history = histories[index] || [];
+      stocks[ticker] = {
+        averagePrice: calculateAggregation(history.map(p => p.price), 'average'),
+        dataPoints: history.length
+      };
+    });
+    
+    // Prepare response
+    const result = {
+      tickers,
+      minutes: window.minutes,
+      window: describeTimeWindow(window),
+      basis,
+      method,
+      matrix,
+      sampleCounts,
+      stocks,
+      ...describeStaleness(...snapshots)
+    };
+    
+    // Cache the result, unless it was built from stale data
+    if (!result.stale) {
+      await setCachedData('correlationMatrix', cacheParams, result, calculateWindowTtl(window, 10, 60));
+    }
+    
+    // Send response
+    return res.json(result);
+  } catch (err) {
+    console.error(`Error in getCorrelationMatrix: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to calculate correlation matrix: ${err.message}`));
+  }
+};
@@ -0,0 +1,253 @@
+// controllers/portfolioController.js - Handler for portfolio endpoints
+const createError = require('http-errors');
+const {
+  fetchHistorySnapshot,
+  fetchCurrentStockPrice,
+  sliceHistoryRange,
+  findPriceBefore,
+  describeStaleness
+} = require('../services/stockApiService');
+const {
+  alignPriceSeries,
+  calculateReturns,
+  calculateCovarianceMatrix,
+  calculatePortfolioRisk,
+  calculateBeta,
+  estimatePeriodsPerYear
+} = require('../utils/mathUtils');
+const { CANDLE_INTERVALS } = require('../utils/candleUtils');
+const { resolveTimeWindow, describeTimeWindow, formatTimeWindow } = require('../utils/timeWindow');
+
+/**
+ * Profit and loss of a value against a reference value
+ * Returns null when there is nothing to compare against
+ */
+const calculatePnl = (value, reference) => {
+  if (reference === null || reference === 0) {
+    return null;
+  }
+  
+  const absolute = value - reference;
+  return {
+    absolute,
+    percent: absolute / reference * 100
+  };
+};
+
+/**
+ * Sum a field over the positions where it is known
+ */
+const sumKnown = (positions, field) => {
+  const known = positions.filter(position => position[field] !== null);
+  return known.length > 0 ? known.reduce((sum, position) => sum + position[field], 0) : null;
+};
+
+/**
+ * Value a portfolio now and over the window, with P&L and weights
+ * Each position's current price comes from the live price endpoint and its
+ * window-start price from the history: the price in effect when the window
+ * opens, else the first tick inside it. A window ending now closes at the
+ * current price; one ending in the past closes at the last tick up to its end.
+ * Positions whose prices can't be fetched are reported with their error and
+ * left out of the totals.
+ */
+exports.getPortfolioValuation = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { holdings, to } = req.validatedParams;
+    
+    // Current price and history per holding; a failing ticker must not sink the others
+    const since = resolveTimeWindow(req.validatedParams).start;
+    const outcomes = await Promise.allSettled(holdings.map(holding => Promise.all([
+      fetchCurrentStockPrice(holding.ticker),
+      fetchHistorySnapshot(holding.ticker, since)
+    ])));
+    
+    // The window (resolved after the fetch so a relative one covers the newest tick)
+    const window = resolveTimeWindow(req.validatedParams);
+    const endsNow = !window.absolute || !to;
+    
+    const freshness = [];
+    const positions = holdings.map((holding, index) => {
+      const position = { ...holding, costBasis: holding.costBasis ?? null };
+      
+      const outcome = outcomes[index];
+      if (outcome.status === 'rejected') {
+        return {
+          ...position,
+          status: outcome.reason.status || 500,
+          error: outcome.reason.message
+        };
+      }
+      
+      const [currentPrice, snapshot] = outcome.value;
+      freshness.push(currentPrice, snapshot);
+      
+      const windowHistory = sliceHistoryRange(snapshot.history, window.start, window.end);
+      const openingPrice = findPriceBefore(snapshot.history, window.start);
+      const startPrice = openingPrice ?? (windowHistory.length > 0 ? windowHistory[0].price : null);
+      const endPrice = endsNow ? currentPrice.price : findPriceBefore(snapshot.history, window.end + 1);
+      
+      const currentValue = currentPrice.price * holding.quantity;
+      const startValue = startPrice !== null ? startPrice * holding.quantity : null;
+      const endValue = endPrice !== null ? endPrice * holding.quantity : null;
+      const costValue = position.costBasis !== null ? position.costBasis * holding.quantity : null;
+      
+      return {
+        ...position,
+        status: 200,
+        currentPrice: currentPrice.price,
+        priceAsOf: currentPrice.lastUpdatedAt,
+        startPrice,
+        endPrice,
+        currentValue,
+        startValue,
+        endValue,
+        costValue,
+        pnl: {
+          window: startValue !== null && endValue !== null ? calculatePnl(endValue, startValue) : null,
+          costBasis: calculatePnl(currentValue, costValue)
+        }
+      };
+    });
+    
+    const valued = positions.filter(position => position.status === 200);
+    
+    // Weights are shares of the current value of everything that could be valued
+    const currentValue = sumKnown(valued, 'currentValue');
+    valued.forEach(position => {
+      position.weight = currentValue ? position.currentValue / currentValue : null;
+    });
+    
+    // Each P&L total only covers the positions it can be computed for
+    const withWindow = valued.filter(position => position.startValue !== null && position.endValue !== null);
+    const withCost = valued.filter(position => position.costValue !== null);
+    
+    // Send response
+    return res.json({
+      minutes: window.minutes,
+      from: new Date(window.start).toISOString(),
+      to: new Date(window.end).toISOString(),
+      window: describeTimeWindow(window),
+      positions,
+      totals: {
+        currentValue,
+        startValue: sumKnown(valued, 'startValue'),
+        endValue: sumKnown(valued, 'endValue'),
+        costValue: sumKnown(valued, 'costValue'),
+        pnl: {
+          window: withWindow.length > 0 ? {
+            ...calculatePnl(sumKnown(withWindow, 'endValue'), sumKnown(withWindow, 'startValue')),
+            positions: withWindow.length
+          } : null,
+          costBasis: withCost.length > 0 ? {
+            ...calculatePnl(sumKnown(withCost, 'currentValue'), sumKnown(withCost, 'costValue')),
+            positions: withCost.length
+          } : null
+        }
+      },
+      summary: {
+        positions: positions.length,
+        valued: valued.length,
+        failed: positions.length - valued.length
+      },
+      ...describeStaleness(...freshness)
+    });
+  } catch (err) {
+    console.error(`Error in getPortfolioValuation: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to value portfolio: ${err.message}`));
+  }
+};
+
+/**
+ * Get the risk of a weighted portfolio: covariance, volatility, risk
+ * contributions and beta against an optional benchmark
+ * Every history is sampled on one grid of interval-spaced points, so returns
+ * line up across tickers even though their ticks arrive at different times.
+ * Weights are normalized to sum to 1.
+ */
+exports.getPortfolioRisk = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { weights, benchmark, interval, basis } = req.validatedParams;
+    const tickers = weights.map(entry => entry.ticker);
+    
+    // Every series is needed, so any failure fails the request
+    const allTickers = [...new Set(benchmark ? [...tickers, benchmark] : tickers)];
+    const since = resolveTimeWindow(req.validatedParams).start;
+    const snapshots = await Promise.all(allTickers.map(ticker => fetchHistorySnapshot(ticker, since)));
+    
+    // The window (resolved after the fetch so a relative one covers the newest tick)
+    const window = resolveTimeWindow(req.validatedParams);
+    
+    // Sample every full history on the grid; prices before the window carry in
+    const { timestamps, series } = alignPriceSeries(
+      snapshots.map(snapshot => snapshot.history), window.start, window.end, CANDLE_INTERVALS[interval]
+    );
+    const returnsByTicker = new Map(allTickers.map((ticker, i) => [ticker, calculateReturns(series[i], basis)]));
+    
+    const observations = Math.max(timestamps.length - 1, 0);
+    if (observations < 2) {
+      return next(createError(422,
+        `Only ${observations} aligned ${interval} returns are available ${formatTimeWindow(window)}, ` +
+        'but at least 2 are required. Widen the window or use a shorter interval.'));
+    }
+    
+    // Covariance of the holdings' returns and how the weights spread risk across them
+    const totalWeight = weights.reduce((sum, entry) => sum + entry.weight, 0);
+    const normalizedWeights = weights.map(entry => entry.weight / totalWeight);
+    const covarianceMatrix = calculateCovarianceMatrix(tickers.map(ticker => returnsByTicker.get(ticker)));
+    const risk = calculatePortfolioRisk(covarianceMatrix, normalizedWeights);
+    
+    const periodsPerYear = estimatePeriodsPerYear(timestamps);
+    const annualize = (value) => (periodsPerYear ? value * Math.sqrt(periodsPerYear) : null);
+    
+    // Beta of each holding, and of the portfolio as their weighted sum
+    let beta = null;
+    if (benchmark) {
+      const benchmarkReturns = returnsByTicker.get(benchmark);
+      const holdingBetas = tickers.map(ticker => calculateBeta(returnsByTicker.get(ticker), benchmarkReturns));
+      
+      beta = {
+        benchmark,
+        portfolio: holdingBetas.includes(null) ? null
+          : holdingBetas.reduce((sum, value, i) => sum + value * normalizedWeights[i], 0),
+        holdings: Object.fromEntries(tickers.map((ticker, i) => [ticker, holdingBetas[i]]))
+      };
+    }
+    
+    // Send response
+    return res.json({
+      tickers,
+      minutes: window.minutes,
+      interval,
+      basis,
+      from: new Date(window.start).toISOString(),
+      to: new Date(window.end).toISOString(),
+      window: describeTimeWindow(window),
+      observations,
+      periodsPerYear,
+      covarianceMatrix,
+      volatility: {
+        value: risk.volatility,
+        annualized: annualize(risk.volatility)
+      },
+      contributions: tickers.map((ticker, i) => ({
+        ticker,
+        weight: normalizedWeights[i],
+        marginal: risk.marginal[i],
+        component: risk.component[i],
+        percent: risk.volatility > 0 ? risk.component[i] / risk.volatility * 100 : null
+      })),
+      beta,
+      ...describeStaleness(...snapshots)
+    });
+  } catch (err) {
+    console.error(`Error in getPortfolioRisk: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to calculate portfolio risk: ${err.message}`));
+  }
+};
@@ -0,0 +1,162 @@
+// controllers/sectorController.js - Handler for sector-level aggregate endpoints
+const createError = require('http-errors');
+const {
+  fetchHistorySnapshot,
+  sliceHistoryRange,
+  findPriceBefore,
+  describeStaleness
+} = require('../services/stockApiService');
+const { getSectorMembers, listSectors } = require('../services/symbolService');
+const { getCachedData, setCachedData } = require('../services/cacheService');
+const { calculateAggregation, calculateTimeWeightedAverage } = require('../utils/mathUtils');
+const { INDEX_BASE, buildEqualWeightedIndex } = require('../utils/indexUtils');
+const {
+  resolveTimeWindow,
+  describeTimeWindow,
+  formatTimeWindow,
+  calculateWindowTtl
+} = require('../utils/timeWindow');
+
+/**
+ * Aggregate one member's prices within the window
+ */
+const aggregateMember = (priceHistory, aggregation, windowStart, windowEnd, openingPrice) => {
+  if (aggregation === 'twap') {
+    const twap = calculateTimeWeightedAverage(priceHistory, windowStart, windowEnd, openingPrice);
+    return twap ? twap.value : null;
+  }
+  return calculateAggregation(priceHistory.map(entry => entry.price), aggregation);
+};
+
+/**
+ * Get every member's aggregation and an equal-weighted index for a sector
+ * Members without prices in the window (or whose history could not be
+ * fetched) are listed under membersWithoutData and left out of the index
+ */
+exports.getSectorAggregate = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { sector, minutes, from, to, aggregation } = req.validatedParams;
+    
+    // Check if we have cached results
+    const cacheParams = { sector, minutes, from, to, aggregation };
+    const cachedResult = await getCachedData('sector', cacheParams);
+    
+    if (cachedResult) {
+      return res.json(cachedResult);
+    }
+    
+    // Resolve the sector's members from the symbol directory
+    const resolved = await getSectorMembers(sector);
+    if (!resolved) {
+      return next(createError(404, `Unknown sector ${sector}`, { suggestions: await listSectors() }));
+    }
+    
+    // One history per member, reaching back to the window; a failing member must not sink the sector
+    const since = resolveTimeWindow(req.validatedParams).start;
+    const outcomes = await Promise.allSettled(resolved.members.map(member => fetchHistorySnapshot(member.ticker, since)));
+    
+    // The window (resolved after the fetch so a relative one covers the newest tick)
+    const window = resolveTimeWindow(req.validatedParams);
+    const windowStart = window.start;
+    const windowEnd = window.end;
+    
+    const pricedMembers = [];
+    const membersWithoutData = [];
+    const snapshots = [];
+    
+    resolved.members.forEach((member, index) => {
+      const outcome = outcomes[index];
+      if (outcome.status === 'rejected') {
+        membersWithoutData.push({
+          ticker: member.ticker,
+          name: member.name,
+          status: outcome.reason.status || 500,
+          reason: outcome.reason.message
+        });
+        return;
+      }
+      
+      const snapshot = outcome.value;
+      snapshots.push(snapshot);
+      
+      const priceHistory = sliceHistoryRange(snapshot.history, windowStart, windowEnd);
+      if (priceHistory.length === 0) {
+        membersWithoutData.push({
+          ticker: member.ticker,
+          name: member.name,
+          status: 200,
+          reason: `No prices ${formatTimeWindow(window)}`
+        });
+        return;
+      }
+      
+      // Rebase on the price in effect at the window start, else the first tick in it
+      const openingPrice = findPriceBefore(snapshot.history, windowStart);
+      pricedMembers.push({
+        ...member,
+        priceHistory,
+        openingPrice,
+        basePrice: openingPrice !== null ? openingPrice : priceHistory[0].price,
+        pricedAtStart: openingPrice !== null
+      });
+    });
+    
+    // Equal-weighted index over the members with data
+    const { series, levels } = buildEqualWeightedIndex(pricedMembers, windowStart);
+    const latest = series.length > 0 ? series[series.length - 1].value : null;
+    const indexedCount = Object.keys(levels).length;
+    
+    // Each member's share of the index move, in index points (they sum to latest - base)
+    const members = pricedMembers.map(member => {
+      const lastPrice = member.priceHistory[member.priceHistory.length - 1].price;
+      return {
+        ticker: member.ticker,
+        name: member.name,
+        averageStockPrice: aggregateMember(member.priceHistory, aggregation, windowStart, windowEnd, member.openingPrice),
+        dataPoints: member.priceHistory.length,
+        basePrice: member.basePrice,
+        lastPrice,
+        changePercent: (lastPrice / member.basePrice - 1) * 100,
+        contribution: (levels[member.ticker] - INDEX_BASE) / indexedCount
+      };
+    });
+    
+    // Prepare response
+    const result = {
+      sector: resolved.sector,
+      minutes: window.minutes,
+      aggregation,
+      from: new Date(windowStart).toISOString(),
+      to: new Date(windowEnd).toISOString(),
+      window: describeTimeWindow(window),
+      index: {
+        base: INDEX_BASE,
+        latest,
+        changePercent: latest !== null ? latest - INDEX_BASE : null,
+        series
+      },
+      members,
+      membersWithoutData,
+      summary: {
+        members: resolved.members.length,
+        withData: members.length,
+        withoutData: membersWithoutData.length
+      },
+      ...describeStaleness(...snapshots)
+    };
+    
+    // Cache the result - same freshness rules as the price endpoint
+    if (!result.stale) {
+      await setCachedData('sector', cacheParams, result, calculateWindowTtl(window, 5, 30));
+    }
+    
+    // Send response
+    return res.json(result);
+  } catch (err) {
+    console.error(`Error in getSectorAggregate: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to aggregate sector: ${err.message}`));
+  }
+};
@@ -1,8 +1,119 @@
 // controllers/stockController.js - Handler for stock price endpoints
 const createError = require('http-errors');
-const { fetchStockPriceHistory } = require('../services/stockApiService');
+const {
+  fetchHistorySnapshot,
+  sliceHistoryRange,
+  findPriceBefore,
+  describeStaleness
+} = require('../services/stockApiService');
 const { getCachedData, setCachedData } = require('../services/cacheService');
-const { calculateAggregation } = require('../utils/mathUtils');
+const { findUnknownTickers } = require('../services/symbolService');
+const {
+  calculateAggregation,
+  calculateTimeWeightedAverage,
+  calculateReturns,
+  calculateStandardDeviation,
+  calculateMaxDrawdown,
+  calculateHistoricalVaR,
+  estimatePeriodsPerYear
+} = require('../utils/mathUtils');
+const { buildCandles } = require('../utils/candleUtils');
+const { INDICATORS } = require('../utils/indicatorUtils');
+const {
+  resolveTimeWindow,
+  describeTimeWindow,
+  formatTimeWindow,
+  calculateWindowTtl
+} = require('../utils/timeWindow');
+
+// Risk aggregations and the response field each one is reported under
+const RISK_FIELDS = {
+  volatility: 'volatility',
+  stddev: 'standardDeviation',
+  maxDrawdown: 'maxDrawdown',
+  var: 'valueAtRisk'
+};
+
+/**
+ * Calculate a risk metric over the price history
+ * Volatility and VaR are per sampling period, with an annualized figure
+ * scaled by the square root of the periods per trading year
+ * Returns null when there is not enough data
+ */
+const calculateRiskMetric = (priceHistory, aggregation, confidence) => {
+  const prices = priceHistory.map(entry => entry.price);
+  const periodsPerYear = estimatePeriodsPerYear(priceHistory.map(entry => entry.lastUpdatedAt));
+  const annualize = (value) => (periodsPerYear ? value * Math.sqrt(periodsPerYear) : null);
+  
+  switch (aggregation) {
+    case 'volatility': {
+      // Realized volatility is the standard deviation of log returns
+      const returns = calculateReturns(prices, 'logReturns');
+      if (returns.length < 2) return null;
+      
+      const value = calculateStandardDeviation(returns);
+      return { value, annualized: annualize(value), periodsPerYear, observations: returns.length };
+    }
+    case 'stddev': {
+      if (prices.length < 2) return null;
+      return { value: calculateStandardDeviation(prices), observations: prices.length };
+    }
+    case 'maxDrawdown': {
+      if (prices.length < 2) return null;
+      
+      const { drawdown, peakIndex, troughIndex } = calculateMaxDrawdown(prices);
+      return { value: drawdown, peak: priceHistory[peakIndex], trough: priceHistory[troughIndex] };
+    }
+    case 'var': {
+      const returns = calculateReturns(prices, 'returns');
+      if (returns.length === 0) return null;
+      
+      const value = calculateHistoricalVaR(returns, confidence);
+      return { confidence, value, annualized: annualize(value), periodsPerYear, observations: returns.length };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Build the price endpoint response for a history and aggregation
+ * windowStart/windowEnd (epoch ms) bound the time weighting for twap, and
+ * openingPrice is the price already in effect when the window starts
+ */
+const buildPriceResult = (priceHistory, { aggregation, confidence, windowStart, windowEnd, openingPrice = null }) => {
+  // Risk metrics are reported under their own field
+  if (RISK_FIELDS[aggregation]) {
+    return {
+      aggregation,
+      [RISK_FIELDS[aggregation]]: calculateRiskMetric(priceHistory, aggregation, confidence),
+      priceHistory
+    };
+  }
+  
+  // Weight each price by how long it was in effect within the window
+  if (aggregation === 'twap') {
+    const twap = calculateTimeWeightedAverage(priceHistory, windowStart, windowEnd, openingPrice);
+    return {
+      averageStockPrice: twap ? twap.value : null,
+      timeWeighting: {
+        windowStart: new Date(windowStart).toISOString(),
+        windowEnd: new Date(windowEnd).toISOString(),
+        coveredSeconds: twap ? twap.coveredMs / 1000 : 0,
+        coverage: twap ? twap.coveredMs / (windowEnd - windowStart) : 0
+      },
+      priceHistory
+    };
+  }
+  
+  // Extract prices for aggregation calculation
+  const prices = priceHistory.map(entry => entry.price);
+  
+  return {
+    averageStockPrice: calculateAggregation(prices, aggregation),
+    priceHistory
+  };
+};
 
 /**
  * Get stock price with aggregation over a time period
@@ -10,43 +121,48 @@ const { calculateAggregation } = require('../utils/mathUtils');
 exports.getStockPrice = async (req, res, next) => {
   try {
     // Get validated parameters
-    const { ticker, minutes, aggregation } = req.validatedParams;
+    const { ticker, minutes, from, to, aggregation, confidence } = req.validatedParams;
     
     // Check if we have cached results
-    const cacheParams = { ticker, minutes, aggregation };
-    const cachedResult = getCachedData('stockPrice', cacheParams);
+    const cacheParams = { ticker, minutes, from, to, aggregation, confidence };
+    const cachedResult = await getCachedData('stockPrice', cacheParams);
     
     if (cachedResult) {
       return res.json(cachedResult);
     }
     
-    // Fetch price history from API service
-    const priceHistory = await fetchStockPriceHistory(ticker, minutes);
+    // Fetch the history back to the window once and slice the window locally
+    const snapshot = await fetchHistorySnapshot(ticker, resolveTimeWindow(req.validatedParams).start);
+    const fullHistory = snapshot.history;
+    
+    // The window (resolved after the fetch so a relative one covers the newest tick)
+    const window = resolveTimeWindow(req.validatedParams);
+    const windowStart = window.start;
+    const windowEnd = window.end;
+    const priceHistory = sliceHistoryRange(fullHistory, windowStart, windowEnd);
+    const openingPrice = findPriceBefore(fullHistory, windowStart);
     
     // Handle case with no data
-    if (!priceHistory || priceHistory.length === 0) {
+    if (priceHistory.length === 0) {
       return res.json({
-        averageStockPrice: null,
-        priceHistory: []
+        ...buildPriceResult([], { aggregation, confidence, windowStart, windowEnd, openingPrice }),
+        window: describeTimeWindow(window),
+        ...describeStaleness(snapshot)
       });
     }
     
-    // Extract prices for aggregation calculation
-    const prices = priceHistory.map(entry => entry.price);
-    
-    // Calculate the aggregation based on type
-    const aggregatedPrice = calculateAggregation(prices, aggregation);
-    
-    // Prepare response
+    // Prepare response with the aggregation based on type
     const result = {
-      averageStockPrice: aggregatedPrice,
-      priceHistory: priceHistory
+      ...buildPriceResult(priceHistory, { aggregation, confidence, windowStart, windowEnd, openingPrice }),
+      window: describeTimeWindow(window),
+      ...describeStaleness(snapshot)
     };
     
     // Cache the result - TTL based on how recent the data is
-    // More recent = shorter TTL
-    const cacheTtl = Math.min(Math.max(minutes * 0.1, 5), 30);
-    setCachedData('stockPrice', cacheParams, result, cacheTtl);
+    // More recent = shorter TTL. Stale data is never cached as a fresh result
+    if (!snapshot.stale) {
+      await setCachedData('stockPrice', cacheParams, result, calculateWindowTtl(window, 5, 30));
+    }
     
     // Send response
     return res.json(result);
@@ -56,4 +172,249 @@ exports.getStockPrice = async (req, res, next) => {
     // Pass error to error handler
     next(err.status ? err : createError(500, `Failed to process stock data: ${err.message}`));
   }
+};
+
+/**
+ * Get aggregated prices for several tickers in one request
+ * Each ticker's full history is fetched once and every spec's window is
+ * sliced from it
+ */
+exports.getBatchStockPrices = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { requests } = req.validatedParams;
+    const results = new Array(requests.length);
+    
+    // Answer from the cache where possible and collect the tickers still needed
+    const cachedResults = await Promise.all(requests.map(spec => getCachedData('stockPrice', spec)));
+    const pendingTickers = new Set();
+    requests.forEach((spec, index) => {
+      const cachedResult = cachedResults[index];
+      if (cachedResult) {
+        results[index] = { ...spec, status: 200, ...cachedResult };
+        return;
+      }
+      
+      pendingTickers.add(spec.ticker);
+    });
+    
+    // Unknown tickers fail their own entries only, with suggestions
+    const unknownByTicker = new Map();
+    try {
+      const unknown = await findUnknownTickers([...pendingTickers]);
+      unknown.forEach(entry => {
+        unknownByTicker.set(entry.ticker, entry.suggestions);
+        pendingTickers.delete(entry.ticker);
+      });
+    } catch (err) {
+      console.warn(`Skipping ticker check, symbol directory unavailable: ${err.message}`);
+    }
+    
+    // One history fetch per ticker, back to the earliest of its windows;
+    // a failing ticker must not sink the others
+    const sinceByTicker = new Map();
+    requests.forEach((spec, index) => {
+      if (results[index] || !pendingTickers.has(spec.ticker)) return;
+      const { start } = resolveTimeWindow(spec);
+      sinceByTicker.set(spec.ticker, Math.min(start, sinceByTicker.get(spec.ticker) ?? Infinity));
+    });
+    const tickers = [...pendingTickers];
+    const outcomes = await Promise.allSettled(tickers.map(ticker => fetchHistorySnapshot(ticker, sinceByTicker.get(ticker))));
+    const outcomeByTicker = new Map(tickers.map((ticker, i) => [ticker, outcomes[i]]));
+    
+    // Taken after the fetch so every relative window covers the newest tick
+    const now = Date.now();
+    
+    for (let index = 0; index < requests.length; index++) {
+      const spec = requests[index];
+      if (results[index]) continue;
+      
+      if (unknownByTicker.has(spec.ticker)) {
+        const suggestions = unknownByTicker.get(spec.ticker);
+        const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.join(', ')}?` : '';
+        results[index] = {
+          ...spec,
+          status: 404,
+          error: `Unknown stock ticker ${spec.ticker}.${hint}`,
+          suggestions
+        };
+        continue;
+      }
+      
+      const outcome = outcomeByTicker.get(spec.ticker);
+      if (outcome.status === 'rejected') {
+        results[index] = {
+          ...spec,
+          status: outcome.reason.status || 500,
+          error: outcome.reason.message,
+          ...(outcome.reason.retryAfter && { retryAfter: outcome.reason.retryAfter })
+        };
+        continue;
+      }
+      
+      // Slice this spec's window out of the shared history
+      const snapshot = outcome.value;
+      const window = resolveTimeWindow(spec, now);
+      const priceHistory = sliceHistoryRange(snapshot.history, window.start, window.end);
+      const openingPrice = findPriceBefore(snapshot.history, window.start);
+      
+      const result = {
+        ...buildPriceResult(priceHistory, {
+          ...spec,
+          windowStart: window.start,
+          windowEnd: window.end,
+          openingPrice
+        }),
+        window: describeTimeWindow(window),
+        ...describeStaleness(snapshot)
+      };
+      
+      // Cache under the same key as the single-ticker endpoint
+      if (priceHistory.length > 0 && !snapshot.stale) {
+        await setCachedData('stockPrice', spec, result, calculateWindowTtl(window, 5, 30));
+      }
+      
+      results[index] = { ...spec, status: 200, ...result };
+    }
+    
+    // Send response
+    const failed = results.filter(entry => entry.status !== 200).length;
+    return res.json({
+      results,
+      summary: {
+        requested: results.length,
+        succeeded: results.length - failed,
+        failed
+      }
+    });
+  } catch (err) {
+    console.error(`Error in getBatchStockPrices: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to process batch request: ${err.message}`));
+  }
+};
+
+/**
+ * Get OHLC candlesticks built from the price history
+ */
+exports.getStockCandles = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { ticker, minutes, from, to, interval, fill } = req.validatedParams;
+    
+    // Check if we have cached results
+    const cacheParams = { ticker, minutes, from, to, interval, fill };
+    const cachedResult = await getCachedData('candles', cacheParams);
+    
+    if (cachedResult) {
+      return res.json(cachedResult);
+    }
+    
+    // Fetch price history from API service
+    const snapshot = await fetchHistorySnapshot(ticker, resolveTimeWindow(req.validatedParams).start);
+    
+    // The window to slice (resolved after the fetch so a relative one covers the newest tick)
+    const window = resolveTimeWindow(req.validatedParams);
+    const priceHistory = sliceHistoryRange(snapshot.history, window.start, window.end);
+    
+    // Bucket the ticks into candles
+    const candles = buildCandles(priceHistory || [], {
+      windowStart: window.start,
+      windowEnd: window.end,
+      interval,
+      fill
+    });
+    
+    // Prepare response
+    const result = {
+      ticker,
+      interval,
+      fill,
+      from: new Date(window.start).toISOString(),
+      to: new Date(window.end).toISOString(),
+      window: describeTimeWindow(window),
+      candles,
+      ...describeStaleness(snapshot)
+    };
+    
+    // Cache the result - same freshness rules as the price endpoint
+    if (!snapshot.stale) {
+      await setCachedData('candles', cacheParams, result, calculateWindowTtl(window, 5, 30));
+    }
+    
+    // Send response
+    return res.json(result);
+  } catch (err) {
+    console.error(`Error in getStockCandles: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to build candles: ${err.message}`));
+  }
+};
+
+/**
+ * Get a technical indicator series computed over the price history
+ */
+exports.getStockIndicators = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { ticker, minutes, from, to, name, params } = req.validatedParams;
+    
+    // Check if we have cached results
+    const cacheParams = { ticker, minutes, from, to, name, params };
+    const cachedResult = await getCachedData('indicators', cacheParams);
+    
+    if (cachedResult) {
+      return res.json(cachedResult);
+    }
+    
+    // Fetch price history from API service
+    const snapshot = await fetchHistorySnapshot(ticker, resolveTimeWindow(req.validatedParams).start);
+    const window = resolveTimeWindow(req.validatedParams);
+    const priceHistory = sliceHistoryRange(snapshot.history, window.start, window.end);
+    
+    // The periods must fit into the points we actually have
+    const indicator = INDICATORS[name];
+    const requiredPoints = indicator.requiredPoints(params);
+    if (priceHistory.length < requiredPoints) {
+      const description = Object.entries(params).map(([key, value]) => `${key}=${value}`).join(', ');
+      return next(createError(422,
+        `${name}(${description}) needs at least ${requiredPoints} price points, ` +
+        `but only ${priceHistory.length} are available for ${ticker} ${formatTimeWindow(window)}`));
+    }
+    
+    // Compute the indicator and pair each value with its tick, skipping the warm-up
+    const values = indicator.calculate(priceHistory.map(entry => entry.price), params);
+    const series = priceHistory
+      .map((entry, index) => ({
+        lastUpdatedAt: entry.lastUpdatedAt,
+        price: entry.price,
+        value: values[index]
+      }))
+      .filter(point => point.value !== null);
+    
+    // Prepare response
+    const result = {
+      ticker,
+      indicator: name,
+      params,
+      window: describeTimeWindow(window),
+      series,
+      ...describeStaleness(snapshot)
+    };
+    
+    // Cache the result - same freshness rules as the price endpoint
+    if (!snapshot.stale) {
+      await setCachedData('indicators', cacheParams, result, calculateWindowTtl(window, 5, 30));
+    }
+    
+    // Send response
+    return res.json(result);
+  } catch (err) {
+    console.error(`Error in getStockIndicators: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to calculate indicator: ${err.message}`));
+  }
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+// controllers/streamController.js - Handler for real-time price streams (Server-Sent Events)
+const createError = require('http-errors');
+const config = require('../config');
+const { openStream, closeStream } = require('../services/priceStreamService');
+
+/**
+ * Write one Server-Sent Event to the response
+ * Does nothing once the response has ended, so late updates are dropped
+ */
+const writeEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream live prices for the requested tickers
+ */
+exports.streamPrices = (req, res, next) => {
+  let streamId = null;
+  
+  try {
+    // Get validated parameters
+    const { tickers } = req.validatedParams;
+    
+    let heartbeat = null;
+    
+    // Register first so a full server answers with a plain 503
+    streamId = openStream(tickers, {
+      onPrice: (update) => writeEvent(res, 'price', update),
+      onError: (error) => writeEvent(res, 'error', error),
+      onClose: (reason) => {
+        clearInterval(heartbeat);
+        if (!res.writableEnded) {
+          writeEvent(res, 'end', { reason });
+          res.end();
+        }
+      }
+    });
+    
+    // Release the subscriptions when the response closes, e.g. the client went away
+    // (a no-op when the stream was already closed on our side)
+    res.on('close', () => closeStream(streamId, 'client disconnected'));
+    
+    // Switch the response into event-stream mode
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+    res.flushHeaders();
+    
+    writeEvent(res, 'subscribed', { tickers, pollInterval: config.stream.pollInterval });
+    
+    // Comment lines keep proxies from timing the connection out
+    heartbeat = setInterval(() => {
+      if (!res.writableEnded) {
+        res.write(': heartbeat\n\n');
+      }
+    }, config.stream.heartbeatInterval);
+  } catch (err) {
+    console.error(`Error in streamPrices: ${err.message}`);
+    
+    // Don't leave a registered stream behind
+    if (streamId !== null) {
+      closeStream(streamId, 'error');
+    }
+    
+    // Once the stream has started, the response can only be ended
+    if (res.headersSent) {
+      return res.end();
+    }
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to open price stream: ${err.message}`));
+  }
+};
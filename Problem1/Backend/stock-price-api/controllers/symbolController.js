@@ -0,0 +1,31 @@
+// controllers/symbolController.js - Handler for ticker discovery endpoints
+const createError = require('http-errors');
+const { searchSymbols, listSectors } = require('../services/symbolService');
+
+/**
+ * List and search the tickers the exchange offers
+ */
+exports.listSymbols = async (req, res, next) => {
+  try {
+    // Get validated parameters
+    const { query, sector } = req.validatedParams;
+    
+    // The directory is cached by the service, so both lookups are cheap
+    const [stocks, sectors] = await Promise.all([
+      searchSymbols({ query, sector }),
+      listSectors()
+    ]);
+    
+    // Send response
+    return res.json({
+      count: stocks.length,
+      stocks,
+      sectors
+    });
+  } catch (err) {
+    console.error(`Error in listSymbols: ${err.message}`);
+    
+    // Pass error to error handler
+    next(err.status ? err : createError(500, `Failed to list stocks: ${err.message}`));
+  }
+};
@@ -0,0 +1,103 @@
+// middleware/auth.js - API key authentication, daily quotas and admin access
+const createError = require('http-errors');
+const config = require('../config');
+const { authenticateKey, consumeQuota, isAdminKey } = require('../services/apiKeyService');
+
+/**
+ * The API key sent with a request: the X-API-Key header, else an
+ * Authorization: Bearer token. Null when there is none.
+ */
+const readApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+  
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Identifies the caller by API key and sets req.apiKey ({ id, name, tier, ... })
+ * A wrong or revoked key is always a 401. Requests without a key pass as
+ * anonymous (req.apiKey null) unless config.auth.requireKey is set.
+ */
+exports.authenticate = (req, res, next) => {
+  const key = readApiKey(req);
+  
+  if (!key) {
+    if (config.auth.requireKey) {
+      return next(createError(401, 'An API key is required: send it in the X-API-Key header'));
+    }
+    req.apiKey = null;
+    res.set('X-API-Tier', 'anonymous');
+    return next();
+  }
+  
+  const apiKey = authenticateKey(key);
+  if (!apiKey) {
+    return next(createError(401, 'Invalid or revoked API key'));
+  }
+  
+  req.apiKey = apiKey;
+  res.set('X-API-Tier', apiKey.tier);
+  next();
+};
+
+/**
+ * Only lets requests carrying an API key through, even when keys are otherwise
+ * optional, for routes whose state belongs to a key (e.g. alert rules)
+ */
+exports.requireApiKey = (req, res, next) => {
+  if (!req.apiKey) {
+    return next(createError(401, 'This endpoint requires an API key: send it in the X-API-Key header'));
+  }
+  next();
+};
+
+/**
+ * Counts the request against its key's daily quota and reports the usage
+ * in X-Quota-* headers; over the quota it answers 429 until 00:00 UTC.
+ * Anonymous requests only have the per-IP rate limit.
+ */
+exports.enforceDailyQuota = (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+  
+  const quota = consumeQuota(req.apiKey);
+  const resetSeconds = Math.ceil((quota.resetAt - Date.now()) / 1000);
+  
+  res.set('X-Quota-Used', String(quota.used));
+  if (quota.limit !== null) {
+    res.set({
+      'X-Quota-Limit': String(quota.limit),
+      'X-Quota-Remaining': String(quota.remaining),
+      'X-Quota-Reset': String(resetSeconds)
+    });
+  }
+  
+  if (quota.exceeded) {
+    return next(createError(429,
+      `Daily quota of ${quota.limit} requests used up for this API key, it resets at ${new Date(quota.resetAt).toISOString()}`,
+      { retryAfter: resetSeconds }));
+  }
+  
+  next();
+};
+
+/**
+ * Only lets requests carrying the admin key through
+ * The admin routes are disabled altogether when no admin key is configured
+ */
+exports.requireAdmin = (req, res, next) => {
+  if (!config.auth.adminKey) {
+    return next(createError(403, 'The admin API is disabled: set ADMIN_API_KEY to enable it'));
+  }
+  
+  if (!isAdminKey(readApiKey(req))) {
+    return next(createError(401, 'The admin API key is required'));
+  }
+  
+  next();
+};
@@ -1,10 +1,371 @@
 // middleware/validators.js - Request validation middleware
 const createError = require('http-errors');
+const config = require('../config');
+const { CANDLE_INTERVALS } = require('../utils/candleUtils');
+const { INDICATORS } = require('../utils/indicatorUtils');
+const { findUnknownTickers } = require('../services/symbolService');
+const { checkWebhookUrl } = require('../services/webhookService');
+const { resolveTimeWindow } = require('../utils/timeWindow');
+
+// Aggregations that summarise the price level
+const priceAggregations = ['average', 'median', 'min', 'max', 'twap'];
+
+// Aggregations that describe risk rather than price
+const riskAggregations = ['volatility', 'stddev', 'maxDrawdown', 'var'];
+
+// Series a correlation can be computed on
+const validCorrelationBases = ['price', 'returns', 'logReturns'];
+
+// Supported correlation coefficients
+const validCorrelationMethods = ['pearson', 'spearman', 'kendall'];
+
+// Alert conditions and the directions each one accepts
+const alertDirections = {
+  threshold: ['above', 'below'],
+  percentChange: ['up', 'down', 'either']
+};
+
+// ISO 8601 date, optionally with a time - which must then carry its UTC offset
+const isoTimestampPattern = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Parse an ISO 8601 timestamp into epoch ms, or null if it isn't one
+ */
+const parseIsoTimestamp = (value) => {
+  if (typeof value !== 'string' || !isoTimestampPattern.test(value)) {
+    return null;
+  }
+  const time = Date.parse(value);
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Validates a request's time window: either minutes back from now, or
+ * absolute ISO 8601 from/to bounds - never both
+ * from alone runs until now; to needs a from. Bounds are normalized to UTC
+ * ISO strings so equal ranges share a cache key.
+ * Returns either { window } - { minutes } or { from, to } with to possibly
+ * null - or { error } with a client-facing message
+ */
+const parseTimeWindow = (source, defaultMinutes) => {
+  const { minutes: rawMinutes, from: rawFrom, to: rawTo } = source;
+  
+  // Relative window
+  if (rawFrom === undefined && rawTo === undefined) {
+    // Reaches back as far as the tick store keeps ticks
+    const maxMinutes = config.tickStore.retentionDays * 24 * 60;
+    const minutes = parseInt(rawMinutes) || defaultMinutes;
+    if (isNaN(minutes) || minutes <= 0 || minutes > maxMinutes) {
+      return { error: `Minutes must be a positive number up to ${maxMinutes}` };
+    }
+    return { window: { minutes } };
+  }
+  
+  // Absolute window
+  if (rawMinutes !== undefined) {
+    return { error: 'Use either minutes or from/to, not both' };
+  }
+  if (rawFrom === undefined) {
+    return { error: 'from is required when to is given' };
+  }
+  
+  const from = parseIsoTimestamp(rawFrom);
+  if (from === null) {
+    return { error: 'from must be an ISO 8601 timestamp, e.g. 2024-01-31T14:30:00Z' };
+  }
+  
+  const to = rawTo === undefined ? null : parseIsoTimestamp(rawTo);
+  if (rawTo !== undefined && to === null) {
+    return { error: 'to must be an ISO 8601 timestamp, e.g. 2024-01-31T15:30:00Z' };
+  }
+  
+  const end = to === null ? Date.now() : to;
+  if (from >= end) {
+    return { error: to === null ? 'from must be in the past' : 'from must be before to' };
+  }
+  
+  // Nothing older than the tick store's retention is available
+  const maxDays = config.tickStore.retentionDays;
+  if (end - from > maxDays * 24 * 60 * 60 * 1000) {
+    return { error: `A from/to range can span at most ${maxDays} days` };
+  }
+  
+  return {
+    window: {
+      from: new Date(from).toISOString(),
+      to: to === null ? null : new Date(to).toISOString()
+    }
+  };
+};
+
+/**
+ * Validates a single stock price request (ticker, minutes or from/to, aggregation, confidence)
+ * Shared by the single-ticker and batch endpoints
+ * Returns either { params } or { error } with a client-facing message
+ */
+const parseStockSpec = (spec) => {
+  // Validate ticker
+  const ticker = spec.ticker;
+  if (!ticker || typeof ticker !== 'string' || ticker.trim() === '') {
+    return { error: 'Valid stock ticker symbol is required' };
+  }
+  
+  // Validate the time window (default: last 5 minutes)
+  const { window, error: windowError } = parseTimeWindow(spec, 5);
+  if (windowError) {
+    return { error: windowError };
+  }
+  
+  // Validate aggregation type
+  const aggregation = spec.aggregation || 'average';
+  const validAggregations = [...priceAggregations, ...riskAggregations];
+  if (!validAggregations.includes(aggregation)) {
+    return { error: `Aggregation must be one of: ${validAggregations.join(', ')}` };
+  }
+  
+  const params = {
+    ticker: ticker.toUpperCase(), // Standardize to uppercase
+    ...window,
+    aggregation
+  };
+  
+  // Value-at-Risk needs a confidence level
+  if (aggregation === 'var') {
+    const confidence = spec.confidence === undefined ? 0.95 : Number(spec.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0.5 || confidence >= 1) {
+      return { error: 'Confidence must be a number between 0.5 and 1 (exclusive)' };
+    }
+    params.confidence = confidence;
+  }
+  
+  return { params };
+};
 
 /**
  * Validates stock API parameters
  */
 exports.validateStockParams = (req, res, next) => {
+  try {
+    const { params, error } = parseStockSpec({ ...req.query, ticker: req.params.ticker });
+    if (error) {
+      return next(createError(400, error));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = params;
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates batch stock API parameters
+ * Expects a JSON body of the form { requests: [{ ticker, minutes or from/to, aggregation }] }
+ */
+exports.validateBatchParams = (req, res, next) => {
+  try {
+    const specs = req.body?.requests;
+    
+    // Validate the list itself
+    if (!Array.isArray(specs) || specs.length === 0 || specs.length > 25) {
+      return next(createError(400, 'Body must contain a "requests" array with 1 to 25 entries'));
+    }
+    
+    // Validate every entry, reporting the first bad one by position
+    const requests = [];
+    for (let i = 0; i < specs.length; i++) {
+      if (!specs[i] || typeof specs[i] !== 'object') {
+        return next(createError(400, `requests[${i}]: must be an object`));
+      }
+      
+      const { params, error } = parseStockSpec(specs[i]);
+      if (error) {
+        return next(createError(400, `requests[${i}]: ${error}`));
+      }
+      requests.push(params);
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = { requests };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates a portfolio's holdings: [{ ticker, quantity, costBasis }]
+ * costBasis is the optional price paid per share
+ * Returns either { holdings } or { error } with a client-facing message
+ */
+const parseHoldings = (entries) => {
+  // Validate the list itself
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > 50) {
+    return { error: 'Body must contain a "holdings" array with 1 to 50 entries' };
+  }
+  
+  // Validate every entry, reporting the first bad one by position
+  const holdings = [];
+  const seenTickers = new Set();
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry || typeof entry !== 'object') {
+      return { error: `holdings[${i}]: must be an object` };
+    }
+    
+    if (!entry.ticker || typeof entry.ticker !== 'string' || entry.ticker.trim() === '') {
+      return { error: `holdings[${i}]: Valid stock ticker symbol is required` };
+    }
+    const ticker = entry.ticker.trim().toUpperCase(); // Standardize to uppercase
+    
+    // One position per ticker, so weights and P&L add up
+    if (seenTickers.has(ticker)) {
+      return { error: `holdings[${i}]: ${ticker} is already held; combine it into one position` };
+    }
+    seenTickers.add(ticker);
+    
+    const quantity = Number(entry.quantity);
+    if (typeof entry.quantity === 'boolean' || !Number.isFinite(quantity) || quantity <= 0) {
+      return { error: `holdings[${i}]: Quantity must be a positive number` };
+    }
+    
+    const holding = { ticker, quantity };
+    
+    if (entry.costBasis !== undefined && entry.costBasis !== null) {
+      const costBasis = Number(entry.costBasis);
+      if (typeof entry.costBasis === 'boolean' || !Number.isFinite(costBasis) || costBasis <= 0) {
+        return { error: `holdings[${i}]: Cost basis must be a positive price per share` };
+      }
+      holding.costBasis = costBasis;
+    }
+    
+    holdings.push(holding);
+  }
+  
+  return { holdings };
+};
+
+/**
+ * Validates portfolio valuation parameters
+ * Expects a JSON body of the form { holdings: [{ ticker, quantity, costBasis }], minutes or from/to }
+ */
+exports.validatePortfolioParams = (req, res, next) => {
+  try {
+    const { holdings, error } = parseHoldings(req.body?.holdings);
+    if (error) {
+      return next(createError(400, error));
+    }
+    
+    // Validate the time window (default: last 60 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.body, 60);
+    if (windowError) {
+      return next(createError(400, windowError));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      holdings,
+      ...window
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates portfolio risk parameters
+ * Expects a JSON body of the form
+ * { weights: [{ ticker, weight }], benchmark, minutes or from/to, interval, basis }
+ */
+exports.validatePortfolioRiskParams = (req, res, next) => {
+  try {
+    const entries = req.body?.weights;
+    
+    // Validate the list itself
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > 50) {
+      return next(createError(400, 'Body must contain a "weights" array with 1 to 50 entries'));
+    }
+    
+    // Validate every entry, reporting the first bad one by position
+    const weights = [];
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry || typeof entry !== 'object') {
+        return next(createError(400, `weights[${i}]: must be an object`));
+      }
+      
+      if (!entry.ticker || typeof entry.ticker !== 'string' || entry.ticker.trim() === '') {
+        return next(createError(400, `weights[${i}]: Valid stock ticker symbol is required`));
+      }
+      const ticker = entry.ticker.trim().toUpperCase(); // Standardize to uppercase
+      if (weights.some(existing => existing.ticker === ticker)) {
+        return next(createError(400, `weights[${i}]: ${ticker} is listed more than once`));
+      }
+      
+      const weight = Number(entry.weight);
+      if (typeof entry.weight === 'boolean' || !Number.isFinite(weight) || weight <= 0) {
+        return next(createError(400, `weights[${i}]: Weight must be a positive number`));
+      }
+      
+      weights.push({ ticker, weight });
+    }
+    
+    // Validate the optional benchmark
+    const { benchmark } = req.body;
+    if (benchmark !== undefined && (typeof benchmark !== 'string' || benchmark.trim() === '')) {
+      return next(createError(400, 'Benchmark must be a stock ticker symbol'));
+    }
+    
+    // Validate the time window (default: last 120 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.body, 120);
+    if (windowError) {
+      return next(createError(400, windowError));
+    }
+    
+    // Validate the sampling interval returns are measured over
+    const interval = req.body.interval || '5m';
+    const validIntervals = Object.keys(CANDLE_INTERVALS);
+    if (!validIntervals.includes(interval)) {
+      return next(createError(400, `Interval must be one of: ${validIntervals.join(', ')}`));
+    }
+    
+    // At least two returns are needed for a covariance
+    const { minutes } = resolveTimeWindow(window);
+    if (CANDLE_INTERVALS[interval] * 2 > minutes * 60 * 1000) {
+      return next(createError(400, `A ${Math.round(minutes)} minute window holds fewer than two ${interval} returns`));
+    }
+    
+    // Validate return type
+    const basis = req.body.basis || 'returns';
+    const validBases = validCorrelationBases.filter(b => b !== 'price');
+    if (!validBases.includes(basis)) {
+      return next(createError(400, `Basis must be one of: ${validBases.join(', ')}`));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      weights,
+      benchmark: benchmark ? benchmark.trim().toUpperCase() : null,
+      ...window,
+      interval,
+      basis
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates candlestick API parameters
+ */
+exports.validateCandleParams = (req, res, next) => {
   try {
     // Validate ticker
     const ticker = req.params.ticker;
@@ -12,23 +373,73 @@ exports.validateStockParams = (req, res, next) => {
       return next(createError(400, 'Valid stock ticker symbol is required'));
     }
     
-    // Validate minutes parameter
-    const minutes = parseInt(req.query.minutes) || 5; // Default to 5 minutes
-    if (isNaN(minutes) || minutes <= 0 || minutes > 1440) { // Max 24 hours (1440 min)
-      return next(createError(400, 'Minutes must be a positive number up to 1440'));
+    // Validate the time window (default: last 60 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.query, 60);
+    if (windowError) {
+      return next(createError(400, windowError));
     }
     
-    // Validate aggregation type
-    const aggregation = req.query.aggregation || 'average';
-    const validAggregations = ['average', 'median', 'min', 'max'];
-    if (!validAggregations.includes(aggregation)) {
-      return next(createError(400, `Aggregation must be one of: ${validAggregations.join(', ')}`));
+    // Validate candle interval
+    const interval = req.query.interval || '1m';
+    const validIntervals = Object.keys(CANDLE_INTERVALS);
+    if (!validIntervals.includes(interval)) {
+      return next(createError(400, `Interval must be one of: ${validIntervals.join(', ')}`));
+    }
+    
+    // A candle cannot be wider than the requested window
+    const { minutes } = resolveTimeWindow(window);
+    if (CANDLE_INTERVALS[interval] > minutes * 60 * 1000) {
+      return next(createError(400, `Interval ${interval} is longer than the requested ${Math.round(minutes)} minute window`));
+    }
+    
+    // Validate empty bucket handling
+    const fill = req.query.fill || 'omit';
+    const validFills = ['omit', 'forward'];
+    if (!validFills.includes(fill)) {
+      return next(createError(400, `Fill must be one of: ${validFills.join(', ')}`));
     }
     
     // Store validated values on req object
     req.validatedParams = {
       ticker: ticker.toUpperCase(), // Standardize to uppercase
-      minutes,
+      ...window,
+      interval,
+      fill
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates sector aggregate API parameters
+ */
+exports.validateSectorParams = (req, res, next) => {
+  try {
+    // Validate sector name
+    const sector = req.params.sector;
+    if (!sector || typeof sector !== 'string' || sector.trim() === '') {
+      return next(createError(400, 'Valid sector name is required'));
+    }
+    
+    // Validate the time window (default: last 60 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.query, 60);
+    if (windowError) {
+      return next(createError(400, windowError));
+    }
+    
+    // Members are summarised by price level
+    const aggregation = req.query.aggregation || 'average';
+    if (!priceAggregations.includes(aggregation)) {
+      return next(createError(400, `Aggregation must be one of: ${priceAggregations.join(', ')}`));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      sector: sector.trim(),
+      ...window,
       aggregation
     };
     
@@ -38,6 +449,63 @@ exports.validateStockParams = (req, res, next) => {
   }
 };
 
+/**
+ * Validates technical indicator API parameters
+ */
+exports.validateIndicatorParams = (req, res, next) => {
+  try {
+    // Validate ticker
+    const ticker = req.params.ticker;
+    if (!ticker || typeof ticker !== 'string' || ticker.trim() === '') {
+      return next(createError(400, 'Valid stock ticker symbol is required'));
+    }
+    
+    // Validate the time window (default: last 60 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.query, 60);
+    if (windowError) {
+      return next(createError(400, windowError));
+    }
+    
+    // Validate indicator name
+    const name = typeof req.query.name === 'string' ? req.query.name.toLowerCase() : '';
+    const validIndicators = Object.keys(INDICATORS);
+    if (!validIndicators.includes(name)) {
+      return next(createError(400, `Indicator name must be one of: ${validIndicators.join(', ')}`));
+    }
+    
+    // Validate the indicator's own parameters against the registry
+    const params = {};
+    for (const [paramName, spec] of Object.entries(INDICATORS[name].params)) {
+      const rawValue = req.query[paramName];
+      const value = rawValue === undefined ? spec.default : Number(rawValue);
+      
+      if (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value)) || value < spec.min || value > spec.max) {
+        const kind = spec.integer ? 'an integer' : 'a number';
+        return next(createError(400, `${paramName} must be ${kind} between ${spec.min} and ${spec.max}`));
+      }
+      
+      params[paramName] = value;
+    }
+    
+    // MACD needs its fast average to react quicker than the slow one
+    if (name === 'macd' && params.fast >= params.slow) {
+      return next(createError(400, 'MACD fast period must be shorter than the slow period'));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      ticker: ticker.toUpperCase(), // Standardize to uppercase
+      ...window,
+      name,
+      params
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
 /**
  * Validates correlation API parameters
  */
@@ -56,20 +524,385 @@ exports.validateCorrelationParams = (req, res, next) => {
       return next(createError(400, 'Invalid ticker format provided'));
     }
     
-    // Validate minutes parameter
-    const minutes = parseInt(req.query.minutes) || 60; // Default to 60 minutes
-    if (isNaN(minutes) || minutes <= 0 || minutes > 1440) { // Max 24 hours
-      return next(createError(400, 'Minutes must be a positive number up to 1440'));
+    // Validate the time window (default: last 60 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.query, 60);
+    if (windowError) {
+      return next(createError(400, windowError));
+    }
+    
+    // Validate correlation basis
+    const basis = req.query.basis || 'price';
+    if (!validCorrelationBases.includes(basis)) {
+      return next(createError(400, `Basis must be one of: ${validCorrelationBases.join(', ')}`));
+    }
+    
+    // Validate correlation method
+    const method = req.query.method || 'pearson';
+    if (!validCorrelationMethods.includes(method)) {
+      return next(createError(400, `Method must be one of: ${validCorrelationMethods.join(', ')}`));
+    }
+    
+    // Validate minimum aligned sample size
+    const minSamples = req.query.minSamples === undefined ? 3 : Number(req.query.minSamples);
+    if (!Number.isInteger(minSamples) || minSamples < 2 || minSamples > 10000) {
+      return next(createError(400, 'minSamples must be an integer between 2 and 10000'));
     }
     
     // Store validated values on req object
     req.validatedParams = {
       tickers: tickers.map(t => t.toUpperCase()), // Convert to uppercase
-      minutes
+      ...window,
+      basis,
+      method,
+      minSamples
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates correlation matrix parameters
+ */
+exports.validateCorrelationMatrixParams = (req, res, next) => {
+  try {
+    // Get ticker parameters (expected as array)
+    const tickers = Array.isArray(req.query.ticker) ? req.query.ticker : [req.query.ticker];
+    
+    // Ensure all tickers are valid strings
+    if (tickers.some(t => typeof t !== 'string' || t.trim() === '')) {
+      return next(createError(400, 'Invalid ticker format provided'));
+    }
+    
+    // Remove duplicates while keeping the requested order
+    const uniqueTickers = [...new Set(tickers.map(t => t.trim().toUpperCase()))];
+    
+    // Validate the number of distinct tickers
+    if (uniqueTickers.length < 2 || uniqueTickers.length > 20) {
+      return next(createError(400, 'Between 2 and 20 distinct stock ticker symbols are required'));
+    }
+    
+    // Validate the time window (default: last 60 minutes)
+    const { window, error: windowError } = parseTimeWindow(req.query, 60);
+    if (windowError) {
+      return next(createError(400, windowError));
+    }
+    
+    // Validate correlation basis
+    const basis = req.query.basis || 'price';
+    if (!validCorrelationBases.includes(basis)) {
+      return next(createError(400, `Basis must be one of: ${validCorrelationBases.join(', ')}`));
+    }
+    
+    // Validate correlation method
+    const method = req.query.method || 'pearson';
+    if (!validCorrelationMethods.includes(method)) {
+      return next(createError(400, `Method must be one of: ${validCorrelationMethods.join(', ')}`));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      tickers: uniqueTickers,
+      ...window,
+      basis,
+      method
     };
     
     next();
   } catch (err) {
     next(createError(400, 'Invalid request parameters'));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Validates price stream parameters
+ */
+exports.validateStreamParams = (req, res, next) => {
+  try {
+    // Get ticker parameters (single value or array)
+    const tickers = Array.isArray(req.query.ticker) ? req.query.ticker : [req.query.ticker];
+    
+    // Ensure all tickers are valid strings
+    if (tickers.some(t => typeof t !== 'string' || t.trim() === '')) {
+      return next(createError(400, 'At least one valid stock ticker symbol is required'));
+    }
+    
+    // Remove duplicates while keeping the requested order
+    const uniqueTickers = [...new Set(tickers.map(t => t.trim().toUpperCase()))];
+    
+    const maxTickers = config.stream.maxTickersPerStream;
+    if (uniqueTickers.length > maxTickers) {
+      return next(createError(400, `A stream can subscribe to at most ${maxTickers} tickers`));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      tickers: uniqueTickers
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates symbol search parameters
+ */
+exports.validateSymbolSearchParams = (req, res, next) => {
+  try {
+    const { q, sector } = req.query;
+    
+    // Both filters are optional free-text strings
+    if ((q !== undefined && typeof q !== 'string') || (sector !== undefined && typeof sector !== 'string')) {
+      return next(createError(400, 'q and sector must be single text values'));
+    }
+    
+    const query = q ? q.trim() : '';
+    if (query.length > 50) {
+      return next(createError(400, 'Search query must be at most 50 characters'));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      query: query || undefined,
+      sector: sector ? sector.trim() : undefined
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates an alert condition
+ * { type: 'threshold', direction: 'above' | 'below', price } or
+ * { type: 'percentChange', direction: 'up' | 'down' | 'either', percent, minutes }
+ * Returns either { condition } or { error }
+ */
+const parseAlertCondition = (condition) => {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return { error: 'condition must be an object' };
+  }
+  
+  const { type } = condition;
+  if (!alertDirections[type]) {
+    return { error: `condition.type must be one of: ${Object.keys(alertDirections).join(', ')}` };
+  }
+  
+  const direction = condition.direction || (type === 'percentChange' ? 'either' : undefined);
+  if (!alertDirections[type].includes(direction)) {
+    return { error: `condition.direction must be one of: ${alertDirections[type].join(', ')}` };
+  }
+  
+  if (type === 'threshold') {
+    const price = Number(condition.price);
+    if (!isFinite(price) || price <= 0) {
+      return { error: 'condition.price must be a positive number' };
+    }
+    return { condition: { type, direction, price } };
+  }
+  
+  const percent = Number(condition.percent);
+  if (!isFinite(percent) || percent <= 0 || percent > 100) {
+    return { error: 'condition.percent must be a positive number up to 100' };
+  }
+  
+  const minutes = condition.minutes === undefined ? 60 : Number(condition.minutes);
+  if (!Number.isInteger(minutes) || minutes <= 0 || minutes > 1440) {
+    return { error: 'condition.minutes must be a whole number of minutes up to 1440' };
+  }
+  
+  return { condition: { type, direction, percent, minutes } };
+};
+
+/**
+ * Validates an alert rule body
+ * With partial set (updates) every field is optional, but at least one is required
+ * Returns either { rule } or { error }
+ */
+const parseAlertRule = (body, { partial = false } = {}) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Body must be a JSON object' };
+  }
+  
+  const { name, ticker, condition, webhookUrl, secret, cooldownSeconds, enabled } = body;
+  const rule = {};
+  
+  if (ticker !== undefined || !partial) {
+    if (!ticker || typeof ticker !== 'string' || ticker.trim() === '') {
+      return { error: 'Valid stock ticker symbol is required' };
+    }
+    rule.ticker = ticker.trim().toUpperCase(); // Standardize to uppercase
+  }
+  
+  if (condition !== undefined || !partial) {
+    const { condition: parsed, error } = parseAlertCondition(condition);
+    if (error) {
+      return { error };
+    }
+    rule.condition = parsed;
+  }
+  
+  if (webhookUrl !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch (err) {
+      return { error: 'webhookUrl must be an absolute http(s) URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'webhookUrl must be an absolute http(s) URL' };
+    }
+    const blockedReason = checkWebhookUrl(url.toString());
+    if (blockedReason) {
+      return { error: blockedReason };
+    }
+    rule.webhookUrl = url.toString();
+  }
+  
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16 || secret.length > 256) {
+      return { error: 'secret must be a string of 16 to 256 characters' };
+    }
+    rule.secret = secret;
+  }
+  
+  if (cooldownSeconds !== undefined) {
+    const cooldown = Number(cooldownSeconds);
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > 86400) { // Max one day
+      return { error: 'cooldownSeconds must be a whole number of seconds from 0 to 86400' };
+    }
+    rule.cooldownSeconds = cooldown;
+  }
+  
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      return { error: 'name must be a non-empty string of at most 100 characters' };
+    }
+    rule.name = name.trim();
+  }
+  
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    rule.enabled = enabled;
+  }
+  
+  if (partial && Object.keys(rule).length === 0) {
+    return { error: 'Nothing to update: give at least one of name, ticker, condition, webhookUrl, secret, cooldownSeconds, enabled' };
+  }
+  
+  return { rule };
+};
+
+/**
+ * Validates a new alert rule
+ * Expects a JSON body of the form
+ * { ticker, condition, webhookUrl, secret, cooldownSeconds, name, enabled }
+ */
+exports.validateAlertParams = (req, res, next) => {
+  try {
+    const { rule, error } = parseAlertRule(req.body);
+    if (error) {
+      return next(createError(400, error));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = rule;
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates changes to an alert rule (any subset of the fields of a new rule)
+ */
+exports.validateAlertUpdateParams = (req, res, next) => {
+  try {
+    const { rule, error } = parseAlertRule(req.body, { partial: true });
+    if (error) {
+      return next(createError(400, error));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = rule;
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Validates a request to issue an API key
+ * Expects a JSON body of the form { name, tier }
+ */
+exports.validateApiKeyParams = (req, res, next) => {
+  try {
+    const { name, tier } = req.body || {};
+    
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      return next(createError(400, 'name must be a non-empty string of at most 100 characters'));
+    }
+    
+    const tiers = Object.keys(config.auth.tiers);
+    if (!tiers.includes(tier)) {
+      return next(createError(400, `tier must be one of: ${tiers.join(', ')}`));
+    }
+    
+    // Store validated values on req object
+    req.validatedParams = {
+      name: name.trim(),
+      tier
+    };
+    
+    next();
+  } catch (err) {
+    next(createError(400, 'Invalid request parameters'));
+  }
+};
+
+/**
+ * Rejects tickers the exchange doesn't list, with "did you mean" suggestions
+ * Runs after a validator and checks every ticker in req.validatedParams
+ * (ticker, tickers, portfolio holdings, weights or benchmark). If the symbol
+ * directory can't be loaded the check is skipped, leaving the upstream to
+ * reject bad tickers. Batch requests check their tickers per entry instead.
+ */
+exports.ensureKnownTickers = async (req, res, next) => {
+  const { ticker, tickers, holdings, weights, benchmark } = req.validatedParams;
+  
+  // Label each ticker with where it came from, for the error message
+  const labelled = [];
+  if (ticker) labelled.push({ ticker, label: '' });
+  if (tickers) tickers.forEach(t => labelled.push({ ticker: t, label: '' }));
+  if (holdings) holdings.forEach((holding, i) => labelled.push({ ticker: holding.ticker, label: `holdings[${i}]: ` }));
+  if (weights) weights.forEach((entry, i) => labelled.push({ ticker: entry.ticker, label: `weights[${i}]: ` }));
+  if (benchmark) labelled.push({ ticker: benchmark, label: 'benchmark: ' });
+  
+  let unknown;
+  try {
+    unknown = await findUnknownTickers([...new Set(labelled.map(entry => entry.ticker))]);
+  } catch (err) {
+    console.warn(`Skipping ticker check, symbol directory unavailable: ${err.message}`);
+    return next();
+  }
+  
+  if (unknown.length === 0) {
+    return next();
+  }
+  
+  // Report the first unknown ticker, suggesting close matches
+  const { ticker: unknownTicker, suggestions } = unknown[0];
+  const { label } = labelled.find(entry => entry.ticker === unknownTicker);
+  const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.join(', ')}?` : '';
+  
+  next(createError(404, `${label}Unknown stock ticker ${unknownTicker}.${hint}`, { suggestions }));
+};
@@ -1,6 +1,7 @@
 // mock-server/server.js - Mock server to simulate stock exchange API
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const { randomStockData, generatePriceHistory } = require('./mockData');
 
 const app = express();
@@ -8,7 +9,12 @@ const PORT = process.env.PORT || 4000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so webhook signatures can be checked against it
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 
 // Store some mock data with realistic variations
 const stockData = {
@@ -75,6 +81,55 @@ app.get('/stocks', (req, res) => {
   res.json({ stocks: stockList });
 });
 
+// Webhooks received, newest last (for testing alert delivery)
+const receivedWebhooks = [];
+const webhookAttempts = new Map();
+
+// Receive a webhook
+// Signatures are verified when WEBHOOK_SECRET is set. ?fail=N answers 503 to
+// the first N attempts of each delivery, to exercise the sender's retries.
+app.post('/webhooks', (req, res) => {
+  const deliveryId = req.get('X-Webhook-Id');
+  const attempt = (webhookAttempts.get(deliveryId) || 0) + 1;
+  webhookAttempts.set(deliveryId, attempt);
+  
+  if (attempt <= (parseInt(req.query.fail) || 0)) {
+    return res.status(503).json({ error: `Simulated failure ${attempt}` });
+  }
+  
+  let verified = null;
+  if (process.env.WEBHOOK_SECRET) {
+    const timestamp = req.get('X-Webhook-Timestamp');
+    const expected = 'sha256=' + crypto.createHmac('sha256', process.env.WEBHOOK_SECRET)
+      .update(`${timestamp}.${req.rawBody}`)
+      .digest('hex');
+    const signature = req.get('X-Webhook-Signature') || '';
+    verified = signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+  }
+  
+  receivedWebhooks.push({
+    id: deliveryId,
+    event: req.get('X-Webhook-Event'),
+    attempt,
+    verified,
+    receivedAt: new Date().toISOString(),
+    body: req.body
+  });
+  console.log(`Webhook ${deliveryId} (${req.get('X-Webhook-Event')}) received on attempt ${attempt}`);
+  
+  res.status(204).end();
+});
+
+// List the webhooks received so far
+app.get('/webhooks', (req, res) => {
+  res.json({ count: receivedWebhooks.length, webhooks: receivedWebhooks });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -0,0 +1,33 @@
+// routes/adminRoutes.js - Routes for administration (all require the admin key)
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/auth');
+const { validateApiKeyParams } = require('../middleware/validators');
+
+router.use(requireAdmin);
+
+/**
+ * @route   POST /keys
+ * @desc    Issue an API key; the response includes the key, which is never shown again
+ * @access  Admin (X-API-Key: the admin key)
+ * @body    {string} name - Who or what the key is for
+ * @body    {string} tier - Limits tier: free, standard or internal
+ */
+router.post('/keys', validateApiKeyParams, adminController.issueKey);
+
+/**
+ * @route   GET /keys
+ * @desc    List every API key, revoked ones included, with its usage today
+ * @access  Admin (X-API-Key: the admin key)
+ */
+router.get('/keys', adminController.listKeys);
+
+/**
+ * @route   DELETE /keys/:id
+ * @desc    Revoke an API key; requests using it are rejected from then on
+ * @access  Admin (X-API-Key: the admin key)
+ */
+router.delete('/keys/:id', adminController.revokeKey);
+
+module.exports = router;
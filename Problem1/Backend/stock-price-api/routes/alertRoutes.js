@@ -0,0 +1,78 @@
+// routes/alertRoutes.js - Routes for price alert rules
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const { requireApiKey } = require('../middleware/auth');
+const {
+  validateAlertParams,
+  validateAlertUpdateParams,
+  ensureKnownTickers
+} = require('../middleware/validators');
+
+// Rules send signed webhooks to arbitrary URLs, so anonymous callers can't manage them.
+// Each rule belongs to the key that created it; other keys get a 404 for it.
+router.use(requireApiKey);
+
+/**
+ * @route   POST /
+ * @desc    Create an alert rule; its webhook is notified (signed, with retries) whenever it fires
+ *          The response includes the signing secret, which is never shown again
+ * @access  API key (X-API-Key)
+ * @body    {string} ticker - Stock ticker symbol to watch
+ * @body    {Object} condition - { type: 'threshold', direction: 'above' | 'below', price }
+ *          or { type: 'percentChange', direction: 'up' | 'down' | 'either' (default), percent, minutes (default: 60) }
+ * @body    {string} webhookUrl - http(s) URL that receives the events; loopback, private and link-local
+ *          hosts are refused unless listed in WEBHOOK_ALLOWED_HOSTS
+ * @body    {string} secret - HMAC-SHA256 signing secret, 16 to 256 characters (default: generated)
+ * @body    {number} cooldownSeconds - Quiet period after the rule fires (default: 300)
+ * @body    {string} name - Label for the rule (optional)
+ * @body    {boolean} enabled - Whether the rule is evaluated (default: true)
+ */
+router.post('/', validateAlertParams, ensureKnownTickers, alertController.createAlert);
+
+/**
+ * @route   GET /
+ * @desc    List the caller's alert rules with their evaluation state
+ * @access  API key (X-API-Key)
+ */
+router.get('/', alertController.listAlerts);
+
+/**
+ * @route   GET /:id
+ * @desc    Get one alert rule with its evaluation state
+ * @access  API key (X-API-Key)
+ */
+router.get('/:id', alertController.getAlert);
+
+/**
+ * @route   PATCH /:id
+ * @desc    Update an alert rule; changing the ticker or condition re-arms it
+ *          Changing webhookUrl without a secret generates a new one; the response includes
+ *          the secret whenever it changed
+ * @access  API key (X-API-Key)
+ * @body    Any of the fields accepted when creating a rule
+ */
+router.patch('/:id', validateAlertUpdateParams, ensureKnownTickers, alertController.updateAlert);
+
+/**
+ * @route   DELETE /:id
+ * @desc    Delete an alert rule
+ * @access  API key (X-API-Key)
+ */
+router.delete('/:id', alertController.deleteAlert);
+
+/**
+ * @route   GET /:id/deliveries
+ * @desc    Recent webhook deliveries of an alert rule, newest first, with every attempt
+ * @access  API key (X-API-Key)
+ */
+router.get('/:id/deliveries', alertController.listDeliveries);
+
+/**
+ * @route   POST /:id/test
+ * @desc    Send a signed alert.test event to the rule's webhook (one attempt, no retries) and report the delivery
+ * @access  API key (X-API-Key)
+ */
+router.post('/:id/test', alertController.testAlert);
+
+module.exports = router;
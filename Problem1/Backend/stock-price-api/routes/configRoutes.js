@@ -0,0 +1,14 @@
+// routes/configRoutes.js - Diagnostics view of the running configuration
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/auth');
+
+/**
+ * @route   GET /
+ * @desc    The configuration the server is running with, secrets redacted
+ * @access  Admin (X-API-Key: the admin key)
+ */
+router.get('/', requireAdmin, adminController.getConfig);
+
+module.exports = router;
@@ -2,15 +2,37 @@
 const express = require('express');
 const router = express.Router();
 const correlationController = require('../controllers/correlationController');
-const { validateCorrelationParams } = require('../middleware/validators');
+const {
+  validateCorrelationParams,
+  validateCorrelationMatrixParams,
+  ensureKnownTickers
+} = require('../middleware/validators');
 
 /**
  * @route   GET /
- * @desc    Get correlation between two stock tickers in the last m minutes
+ * @desc    Get correlation between two stock tickers in the last m minutes or a from/to range
  * @access  Public
  * @param   {string[]} ticker - Array of exactly two stock ticker symbols
  * @param   {number} minutes - Minutes of history to analyze (default: 60)
+ * @param   {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @param   {string} to - ISO 8601 window end, with a zone (default: now)
+ * @param   {string} basis - Series to correlate: price, returns or logReturns (default: price)
+ * @param   {string} method - Correlation method: pearson, spearman or kendall (default: pearson)
+ * @param   {number} minSamples - Minimum aligned observations required, else 422 (default: 3)
  */
-router.get('/', validateCorrelationParams, correlationController.getStockCorrelation);
+router.get('/', validateCorrelationParams, ensureKnownTickers, correlationController.getStockCorrelation);
+
+/**
+ * @route   GET /matrix
+ * @desc    Get the pairwise correlation matrix for several stock tickers in the last m minutes or a from/to range
+ * @access  Public
+ * @param   {string[]} ticker - Array of 2 to 20 stock ticker symbols
+ * @param   {number} minutes - Minutes of history to analyze (default: 60)
+ * @param   {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @param   {string} to - ISO 8601 window end, with a zone (default: now)
+ * @param   {string} basis - Series to correlate: price, returns or logReturns (default: price)
+ * @param   {string} method - Correlation method: pearson, spearman or kendall (default: pearson)
+ */
+router.get('/matrix', validateCorrelationMatrixParams, ensureKnownTickers, correlationController.getCorrelationMatrix);
 
 module.exports = router;
\ No newline at end of file
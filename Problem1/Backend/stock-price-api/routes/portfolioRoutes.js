@@ -0,0 +1,37 @@
+// routes/portfolioRoutes.js - Routes for portfolio analytics
+const express = require('express');
+const router = express.Router();
+const portfolioController = require('../controllers/portfolioController');
+const {
+  validatePortfolioParams,
+  validatePortfolioRiskParams,
+  ensureKnownTickers
+} = require('../middleware/validators');
+
+/**
+ * @route   POST /valuation
+ * @desc    Value a portfolio over the last m minutes or a from/to range, with P&L and weights
+ * @access  Public
+ * @body    {Object[]} holdings - Up to 50 { ticker, quantity, costBasis } positions, one per ticker
+ *          costBasis is the optional price paid per share
+ * @body    {number} minutes - Minutes back to the window start (default: 60)
+ * @body    {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @body    {string} to - ISO 8601 window end, with a zone (default: now)
+ */
+router.post('/valuation', validatePortfolioParams, ensureKnownTickers, portfolioController.getPortfolioValuation);
+
+/**
+ * @route   POST /risk
+ * @desc    Get covariance, volatility, risk contributions and beta for a weighted portfolio
+ * @access  Public
+ * @body    {Object[]} weights - Up to 50 { ticker, weight } entries; weights are normalized to sum to 1
+ * @body    {string} benchmark - Ticker to measure beta against (optional)
+ * @body    {number} minutes - Minutes of history to analyze (default: 120)
+ * @body    {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @body    {string} to - ISO 8601 window end, with a zone (default: now)
+ * @body    {string} interval - Sampling interval for returns: 1m, 5m or 15m (default: 5m)
+ * @body    {string} basis - Return type: returns or logReturns (default: returns)
+ */
+router.post('/risk', validatePortfolioRiskParams, ensureKnownTickers, portfolioController.getPortfolioRisk);
+
+module.exports = router;
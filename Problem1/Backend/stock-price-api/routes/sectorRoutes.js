@@ -0,0 +1,19 @@
+// routes/sectorRoutes.js - Routes for sector-level aggregates
+const express = require('express');
+const router = express.Router();
+const sectorController = require('../controllers/sectorController');
+const { validateSectorParams } = require('../middleware/validators');
+
+/**
+ * @route   GET /:sector
+ * @desc    Get every member's aggregation and an equal-weighted index for a sector in the last m minutes or a from/to range
+ * @access  Public
+ * @param   {string} sector - Sector name, case-insensitive; hyphens may replace spaces (e.g. financial-services)
+ * @param   {number} minutes - Minutes of history to analyze (default: 60)
+ * @param   {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @param   {string} to - ISO 8601 window end, with a zone (default: now)
+ * @param   {string} aggregation - Per-member price aggregation: average, median, min, max or twap (default: average)
+ */
+router.get('/:sector', validateSectorParams, sectorController.getSectorAggregate);
+
+module.exports = router;
@@ -2,16 +2,75 @@
 const express = require('express');
 const router = express.Router();
 const stockController = require('../controllers/stockController');
-const { validateStockParams } = require('../middleware/validators');
+const symbolController = require('../controllers/symbolController');
+const {
+  validateStockParams,
+  validateBatchParams,
+  validateCandleParams,
+  validateIndicatorParams,
+  validateSymbolSearchParams,
+  ensureKnownTickers
+} = require('../middleware/validators');
+
+/**
+ * @route   GET /
+ * @desc    List the tickers the exchange offers, with company name and sector
+ * @access  Public
+ * @param   {string} q - Match a ticker prefix or part of the company name (optional)
+ * @param   {string} sector - Only list this sector, case-insensitive (optional)
+ */
+router.get('/', validateSymbolSearchParams, symbolController.listSymbols);
+
+/**
+ * @route   POST /batch
+ * @desc    Get aggregated prices for several tickers in one request
+ * @access  Public
+ * @body    {Object[]} requests - Up to 25 { ticker, minutes or from/to, aggregation, confidence } specs
+ *          Each spec is answered independently; failures, unknown tickers included, are reported per entry
+ */
+router.post('/batch', validateBatchParams, stockController.getBatchStockPrices);
 
 /**
  * @route   GET /:ticker
- * @desc    Get average stock price for a ticker in the last m minutes
+ * @desc    Get average stock price for a ticker in the last m minutes or a from/to range
  * @access  Public
  * @param   {string} ticker - Stock ticker symbol
  * @param   {number} minutes - Minutes of history to analyze (default: 5)
- * @param   {string} aggregation - Type of aggregation (default: average)
+ * @param   {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @param   {string} to - ISO 8601 window end, with a zone (default: now)
+ * @param   {string} aggregation - Price (average, median, min, max, twap) or risk (volatility, stddev, maxDrawdown, var) aggregation (default: average)
+ * @param   {number} confidence - Confidence level for var (default: 0.95)
+ */
+router.get('/:ticker', validateStockParams, ensureKnownTickers, stockController.getStockPrice);
+
+/**
+ * @route   GET /:ticker/candles
+ * @desc    Get OHLC candlesticks for a ticker in the last m minutes or a from/to range
+ * @access  Public
+ * @param   {string} ticker - Stock ticker symbol
+ * @param   {number} minutes - Minutes of history to bucket (default: 60)
+ * @param   {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @param   {string} to - ISO 8601 window end, with a zone (default: now)
+ * @param   {string} interval - Candle width: 1m, 5m or 15m (default: 1m)
+ * @param   {string} fill - Empty buckets: omit or forward (default: omit)
+ */
+router.get('/:ticker/candles', validateCandleParams, ensureKnownTickers, stockController.getStockCandles);
+
+/**
+ * @route   GET /:ticker/indicators
+ * @desc    Get a technical indicator time series for a ticker in the last m minutes or a from/to range
+ * @access  Public
+ * @param   {string} ticker - Stock ticker symbol
+ * @param   {string} name - Indicator: sma, ema, rsi, macd or bollinger
+ * @param   {number} minutes - Minutes of history to analyze (default: 60)
+ * @param   {string} from - ISO 8601 window start, with a zone (instead of minutes)
+ * @param   {string} to - ISO 8601 window end, with a zone (default: now)
+ * @param   {number} period - Lookback for sma/ema (default: 10), rsi (default: 14), bollinger (default: 20)
+ * @param   {number} fast - MACD fast EMA period (default: 12)
+ * @param   {number} slow - MACD slow EMA period (default: 26)
+ * @param   {number} signal - MACD signal EMA period (default: 9)
+ * @param   {number} stdDev - Bollinger band width in standard deviations (default: 2)
  */
-router.get('/:ticker', validateStockParams, stockController.getStockPrice);
+router.get('/:ticker/indicators', validateIndicatorParams, ensureKnownTickers, stockController.getStockIndicators);
 
 module.exports = router;
\ No newline at end of file
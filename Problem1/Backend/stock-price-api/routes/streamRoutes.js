@@ -0,0 +1,16 @@
+// routes/streamRoutes.js - Routes for real-time price streaming
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+const { validateStreamParams, ensureKnownTickers } = require('../middleware/validators');
+
+/**
+ * @route   GET /
+ * @desc    Stream live prices for one or more tickers as Server-Sent Events
+ *          Events: subscribed, price, error, end
+ * @access  Public
+ * @param   {string[]} ticker - Stock ticker symbols to subscribe to
+ */
+router.get('/', validateStreamParams, ensureKnownTickers, streamController.streamPrices);
+
+module.exports = router;
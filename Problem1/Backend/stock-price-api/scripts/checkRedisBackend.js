@@ -0,0 +1,123 @@
+// scripts/checkRedisBackend.js - Round-trip check of the Redis cache backend
+//
+// Usage: node stock-price-api/scripts/checkRedisBackend.js [redis-url]
+// Without a URL the backend runs against the in-process fake; with one it
+// talks to that server (e.g. redis://localhost:6379), writing only under a
+// throwaway key prefix that is removed afterwards. Exits non-zero on failure.
+const assert = require('assert');
+const crypto = require('crypto');
+const config = require('../config');
+const { createRedisBackend } = require('../services/cacheBackends/redisBackend');
+const {
+  getCachedData,
+  getCachedEntry,
+  setCachedData,
+  invalidateCache,
+  createCacheKey,
+  setCacheBackend
+} = require('../services/cacheService');
+const { createFakeRedis } = require('./fakeRedis');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const run = async () => {
+  const url = process.argv[2];
+  
+  // The backend gets a client that is already connected (or fails fast when
+  // the server can't be reached), and the checks use it to look at raw TTLs
+  let redis = createFakeRedis();
+  if (url) {
+    const Redis = require('ioredis');
+    let connectError = null;
+    redis = new Redis(url, { lazyConnect: true, retryStrategy: () => null, maxRetriesPerRequest: 1 });
+    redis.on('error', (error) => {
+      connectError = error;
+    });
+    await redis.connect().catch(error => {
+      throw connectError || error;
+    });
+  }
+  
+  const keyPrefix = `stock-api-check:${crypto.randomBytes(4).toString('hex')}:`;
+  const backend = createRedisBackend({
+    client: redis,
+    keyPrefix,
+    tiers: { short: config.cache.shortTerm, medium: config.cache.mediumTerm, long: config.cache.longTerm }
+  });
+  setCacheBackend(backend);
+  console.log(`Checking the Redis cache backend against ${url || 'the in-process fake'}`);
+  
+  const checks = [];
+  const check = (name, fn) => checks.push({ name, fn });
+  
+  const history = { ticker: 'CHECK' };
+  const price = { ticker: 'CHECK', minutes: 5, aggregation: 'average' };
+  const value = { priceHistory: [{ price: 101.5, lastUpdatedAt: new Date().toISOString() }] };
+  
+  check('an entry round-trips with its envelope', async () => {
+    await setCachedData('rawHistory', history, value, 0.3);
+    const entry = await getCachedEntry('rawHistory', history);
+    assert.deepStrictEqual(entry.value, value);
+    assert.strictEqual(entry.stale, false);
+    assert.ok(Math.abs(entry.storedAt - Date.now()) < 1000, 'storedAt is the write time');
+    assert.deepStrictEqual(await getCachedData('rawHistory', history), value);
+  });
+  
+  check('retained types keep their key for staleIfError past the TTL', async () => {
+    const ttl = await redis.pttl(keyPrefix + createCacheKey('rawHistory', history));
+    const expected = (0.3 + config.cache.staleIfError) * 1000;
+    assert.ok(ttl > expected - 1000 && ttl <= expected, `PTTL ${ttl} is about ${expected}`);
+  });
+  
+  check('other types expire with their TTL', async () => {
+    await setCachedData('stockPrice', price, value, 0.3);
+    const ttl = await redis.pttl(keyPrefix + createCacheKey('stockPrice', price));
+    assert.ok(ttl > 0 && ttl <= 300, `PTTL ${ttl} is at most 300`);
+  });
+  
+  check('an expired entry is a miss but stays readable as stale', async () => {
+    await sleep(400);
+    assert.strictEqual(await getCachedData('rawHistory', history), undefined);
+    const entry = await getCachedEntry('rawHistory', history);
+    assert.strictEqual(entry.stale, true);
+    assert.ok(entry.staleSeconds > 0);
+    assert.deepStrictEqual(entry.value, value);
+    assert.strictEqual(await getCachedEntry('stockPrice', price), undefined);
+  });
+  
+  check('invalidation removes matching keys under the prefix only', async () => {
+    await setCachedData('stockPrice', price, value);
+    await setCachedData('stockPrice', { ...price, ticker: 'OTHER' }, value);
+    assert.strictEqual(await invalidateCache('CHECK'), 2);
+    assert.strictEqual(await getCachedEntry('rawHistory', history), undefined);
+    assert.deepStrictEqual(await getCachedData('stockPrice', { ...price, ticker: 'OTHER' }), value);
+  });
+  
+  check('stats count the keys under the prefix', async () => {
+    const { keys } = await backend.stats();
+    assert.strictEqual(keys.all, 1);
+  });
+  
+  let failed = 0;
+  for (const { name, fn } of checks) {
+    try {
+      await fn();
+      console.log(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`not ok - ${name}: ${error.message}`);
+    }
+  }
+  
+  // Leave nothing behind on a real server
+  await invalidateCache('');
+  await backend.close();
+  
+  console.log(`${checks.length - failed}/${checks.length} checks passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+};
+
+run().catch(error => {
+  console.error(`Redis backend check failed: ${error.message}`);
+  process.exitCode = 1;
+});
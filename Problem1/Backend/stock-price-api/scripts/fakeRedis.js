@@ -0,0 +1,101 @@
+// scripts/fakeRedis.js - In-process stand-in for the Redis commands the cache backend uses
+const { EventEmitter } = require('events');
+
+/**
+ * Turn a Redis glob (*, ?, [...] and \ escapes) into an anchored RegExp
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Create a fake ioredis client keeping everything in memory
+ * Supports get, set (with PX or EX), pttl, del, scan (MATCH and COUNT), on and
+ * quit - enough to run the Redis cache backend without a server. Expired keys
+ * disappear on access, as they appear to in Redis.
+ */
+const createFakeRedis = () => {
+  const emitter = new EventEmitter();
+  const store = new Map(); // key -> { value, expiresAt (epoch ms or null) }
+  
+  const read = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+  
+  return {
+    on: (event, listener) => emitter.on(event, listener),
+    
+    get: async (key) => {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    
+    set: async (key, value, mode, amount) => {
+      const unit = typeof mode === 'string' ? mode.toUpperCase() : null;
+      const expiresAt = unit === 'PX' ? Date.now() + Number(amount)
+        : unit === 'EX' ? Date.now() + Number(amount) * 1000
+        : null;
+      store.set(key, { value: String(value), expiresAt });
+      return 'OK';
+    },
+    
+    pttl: async (key) => {
+      const entry = read(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+    
+    del: async (...keys) => keys.filter(key => read(key) && store.delete(key)).length,
+    
+    // The cursor is an offset into the key list; pages hold COUNT keys before filtering
+    scan: async (cursor, ...args) => {
+      const options = {};
+      for (let i = 0; i + 1 < args.length; i += 2) {
+        options[String(args[i]).toUpperCase()] = args[i + 1];
+      }
+      const pattern = globToRegExp(options.MATCH || '*');
+      const count = Number(options.COUNT) || 10;
+      
+      const keys = [...store.keys()].filter(key => read(key));
+      const start = Number(cursor);
+      const page = keys.slice(start, start + count).filter(key => pattern.test(key));
+      const nextCursor = start + count >= keys.length ? '0' : String(start + count);
+      
+      return [nextCursor, page];
+    },
+    
+    quit: async () => {
+      store.clear();
+      emitter.emit('end');
+      return 'OK';
+    }
+  };
+};
+
+module.exports = { createFakeRedis, globToRegExp };
@@ -0,0 +1,368 @@
+// services/alertService.js - Price alert rules, their scheduled evaluation and webhook notifications
+//
+// Rules live in memory, like open streams, so they do not survive a restart.
+// Each rule belongs to the API key that created it and is only visible to it.
+// Two conditions are supported:
+// - threshold: { direction: 'above' | 'below', price } fires when the price
+//   crosses the threshold between two evaluations
+// - percentChange: { direction: 'up' | 'down' | 'either', percent, minutes }
+//   fires when the price has moved at least percent% against the price in
+//   effect minutes ago
+const crypto = require('crypto');
+const createError = require('http-errors');
+const config = require('../config');
+const {
+  fetchCurrentStockPrice,
+  fetchHistorySnapshot,
+  sliceHistoryRange,
+  findPriceBefore
+} = require('./stockApiService');
+const { deliverWebhook } = require('./webhookService');
+
+// Rules by id
+const rules = new Map();
+
+let nextAlertId = 1;
+let evaluationTimer = null;
+let evaluating = false;
+
+// Counters for monitoring
+const metrics = {
+  evaluations: 0,
+  triggered: 0,
+  delivered: 0,
+  failedDeliveries: 0
+};
+
+/**
+ * A rule as returned by the API: everything but its owner, secret and deliveries
+ */
+const toPublicAlert = (rule) => {
+  const { ownerKeyId, secret, deliveries, ...alert } = rule;
+  return {
+    ...alert,
+    state: { ...rule.state }
+  };
+};
+
+/**
+ * Look up one of an owner's rules, throwing a 404 when it doesn't exist
+ * Other keys' rules are reported missing too, so ids can't be probed
+ */
+const findRule = (id, ownerKeyId) => {
+  const rule = rules.get(Number(id));
+  if (!rule || rule.ownerKeyId !== ownerKeyId) {
+    throw createError(404, `Alert ${id} not found`);
+  }
+  return rule;
+};
+
+/**
+ * Check a rule's condition against the latest price
+ * Returns the details of what triggered it, or null when it doesn't fire
+ */
+const checkCondition = (rule, current, snapshot, now) => {
+  const { condition } = rule;
+  
+  if (condition.type === 'threshold') {
+    // A crossing needs a previous observation on the other side
+    const previousPrice = rule.state.lastPrice;
+    if (previousPrice === null) {
+      return null;
+    }
+    
+    const crossed = condition.direction === 'above'
+      ? previousPrice < condition.price && current.price >= condition.price
+      : previousPrice > condition.price && current.price <= condition.price;
+    
+    return crossed ? { threshold: condition.price, direction: condition.direction, previousPrice } : null;
+  }
+  
+  // percentChange: compare with the price in effect when the window opened,
+  // else the first tick inside it
+  const windowStart = now - condition.minutes * 60 * 1000;
+  const windowHistory = sliceHistoryRange(snapshot.history, windowStart, now);
+  const referencePrice = findPriceBefore(snapshot.history, windowStart) ??
+    (windowHistory.length > 0 ? windowHistory[0].price : null);
+  if (!referencePrice) {
+    return null;
+  }
+  
+  const changePercent = (current.price / referencePrice - 1) * 100;
+  const moved = condition.direction === 'up' ? changePercent >= condition.percent
+    : condition.direction === 'down' ? changePercent <= -condition.percent
+      : Math.abs(changePercent) >= condition.percent;
+  
+  return moved ? { referencePrice, changePercent, minutes: condition.minutes, direction: condition.direction } : null;
+};
+
+/**
+ * Build the event sent to a rule's webhook
+ */
+const buildEvent = (rule, type, trigger) => {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    alert: {
+      id: rule.id,
+      name: rule.name,
+      ticker: rule.ticker,
+      condition: rule.condition
+    },
+    trigger
+  };
+};
+
+/**
+ * Deliver an event to a rule's webhook and keep the record on the rule
+ * options are passed on to deliverWebhook
+ */
+const notify = async (rule, event, options) => {
+  const delivery = await deliverWebhook(rule.webhookUrl, rule.secret, event, options);
+  
+  if (delivery.status === 'delivered') {
+    metrics.delivered++;
+  } else {
+    metrics.failedDeliveries++;
+  }
+  
+  // Newest first, bounded per rule
+  rule.deliveries.unshift(delivery);
+  rule.deliveries.length = Math.min(rule.deliveries.length, config.alerts.deliveryHistory);
+  
+  return delivery;
+};
+
+/**
+ * Evaluate every enabled rule for one ticker
+ * The current price (and the history, when a percentChange rule needs it) is
+ * fetched once and shared by the ticker's rules. Stale prices are never
+ * evaluated, so an upstream outage can't fire alerts on old data.
+ */
+const evaluateTicker = async (ticker, tickerRules) => {
+  const now = Date.now();
+  
+  // History is only needed back to the longest percentChange window
+  const historyMinutes = Math.max(0, ...tickerRules
+    .filter(rule => rule.condition.type === 'percentChange')
+    .map(rule => rule.condition.minutes));
+  
+  let current;
+  let snapshot;
+  try {
+    [current, snapshot] = await Promise.all([
+      fetchCurrentStockPrice(ticker),
+      historyMinutes > 0 ? fetchHistorySnapshot(ticker, now - historyMinutes * 60 * 1000) : null
+    ]);
+  } catch (error) {
+    tickerRules.forEach(rule => {
+      rule.state.lastError = error.message;
+    });
+    return;
+  }
+  
+  tickerRules.forEach(rule => {
+    // The rule may have been edited or deleted while the prices were fetched
+    if (rules.get(rule.id) !== rule || rule.ticker !== ticker || !rule.enabled) return;
+    
+    rule.state.lastEvaluatedAt = new Date(now).toISOString();
+    
+    if (current.stale || snapshot?.stale) {
+      rule.state.lastError = 'Skipped: price data is stale';
+      return;
+    }
+    
+    const trigger = checkCondition(rule, current, snapshot, now);
+    rule.state.lastPrice = current.price;
+    rule.state.lastError = null;
+    
+    if (!trigger) return;
+    
+    // Stay quiet during the cooldown after the last notification
+    const cooldownEnds = rule.state.lastTriggeredAt
+      ? new Date(rule.state.lastTriggeredAt).getTime() + rule.cooldownSeconds * 1000
+      : 0;
+    if (now < cooldownEnds) return;
+    
+    rule.state.lastTriggeredAt = new Date(now).toISOString();
+    rule.state.triggerCount++;
+    metrics.triggered++;
+    console.log(`Alert ${rule.id} (${ticker}) triggered at ${current.price}`);
+    
+    // Delivery retries in the background; evaluation doesn't wait for it
+    notify(rule, buildEvent(rule, 'alert.triggered', {
+      price: current.price,
+      priceAsOf: current.lastUpdatedAt,
+      ...trigger
+    }));
+  });
+};
+
+/**
+ * Evaluate all enabled rules, then schedule the next run
+ */
+const evaluateAlerts = async () => {
+  evaluationTimer = null;
+  evaluating = true;
+  
+  // Group by ticker so each ticker is fetched once per run
+  const byTicker = new Map();
+  rules.forEach(rule => {
+    if (!rule.enabled) return;
+    if (!byTicker.has(rule.ticker)) {
+      byTicker.set(rule.ticker, []);
+    }
+    byTicker.get(rule.ticker).push(rule);
+  });
+  
+  try {
+    await Promise.all([...byTicker].map(([ticker, tickerRules]) => evaluateTicker(ticker, tickerRules)));
+    metrics.evaluations++;
+  } catch (error) {
+    console.error(`Alert evaluation failed: ${error.message}`);
+  } finally {
+    evaluating = false;
+    scheduleEvaluation();
+  }
+};
+
+/**
+ * Schedule the next evaluation while there are rules to evaluate
+ * Runs never overlap: the next one is only scheduled once the last finished.
+ */
+const scheduleEvaluation = () => {
+  if (evaluationTimer || evaluating || rules.size === 0) return;
+  
+  evaluationTimer = setTimeout(evaluateAlerts, config.alerts.evaluationInterval);
+  evaluationTimer.unref();
+};
+
+/**
+ * A fresh webhook signing secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Create an alert rule owned by the API key ownerKeyId
+ * A secret for signing the webhooks is generated unless one is given. It is
+ * only ever returned here (and by an update that changes it), so the caller
+ * has to keep it.
+ * Throws a 409 when the rule limit is reached
+ */
+exports.createAlert = ({ name, ticker, condition, webhookUrl, secret, cooldownSeconds, enabled }, ownerKeyId) => {
+  if (rules.size >= config.alerts.maxRules) {
+    throw createError(409, `Too many alerts (limit ${config.alerts.maxRules}), delete unused ones first`);
+  }
+  
+  const now = new Date().toISOString();
+  const rule = {
+    id: nextAlertId++,
+    ownerKeyId,
+    name: name || `${ticker} ${condition.type}`,
+    ticker,
+    condition,
+    webhookUrl,
+    cooldownSeconds: cooldownSeconds ?? config.alerts.defaultCooldown,
+    enabled: enabled ?? true,
+    createdAt: now,
+    updatedAt: now,
+    state: {
+      lastPrice: null,
+      lastEvaluatedAt: null,
+      lastTriggeredAt: null,
+      triggerCount: 0,
+      lastError: null
+    },
+    secret: secret || generateSecret(),
+    deliveries: []
+  };
+  rules.set(rule.id, rule);
+  
+  scheduleEvaluation();
+  
+  return { ...toPublicAlert(rule), secret: rule.secret };
+};
+
+/**
+ * List an owner's alert rules
+ */
+exports.listAlerts = (ownerKeyId) => [...rules.values()]
+  .filter(rule => rule.ownerKeyId === ownerKeyId)
+  .map(toPublicAlert);
+
+/**
+ * Get one of an owner's alert rules
+ */
+exports.getAlert = (id, ownerKeyId) => toPublicAlert(findRule(id, ownerKeyId));
+
+/**
+ * Update one of an owner's alert rules
+ * Changing the ticker or condition re-arms the rule: its last price and
+ * cooldown are forgotten, since they described the old condition.
+ * Moving the webhook to another URL rotates the signing secret unless a new
+ * one is given, so the new receiver can't verify (or forge) events with the
+ * old one. The secret is returned whenever it changed.
+ */
+exports.updateAlert = (id, changes, ownerKeyId) => {
+  const rule = findRule(id, ownerKeyId);
+  
+  if ((changes.ticker && changes.ticker !== rule.ticker) || changes.condition) {
+    rule.state.lastPrice = null;
+    rule.state.lastTriggeredAt = null;
+  }
+  
+  const movesWebhook = changes.webhookUrl !== undefined && changes.webhookUrl !== rule.webhookUrl;
+  const secret = changes.secret ?? (movesWebhook ? generateSecret() : undefined);
+  
+  Object.entries({ ...changes, secret }).forEach(([field, value]) => {
+    if (value !== undefined) {
+      rule[field] = value;
+    }
+  });
+  rule.updatedAt = new Date().toISOString();
+  
+  return secret === undefined ? toPublicAlert(rule) : { ...toPublicAlert(rule), secret };
+};
+
+/**
+ * Delete one of an owner's alert rules
+ */
+exports.deleteAlert = (id, ownerKeyId) => {
+  const rule = findRule(id, ownerKeyId);
+  rules.delete(rule.id);
+  
+  if (rules.size === 0 && evaluationTimer) {
+    clearTimeout(evaluationTimer);
+    evaluationTimer = null;
+  }
+};
+
+/**
+ * Recent webhook deliveries of one of an owner's alert rules, newest first
+ */
+exports.getAlertDeliveries = (id, ownerKeyId) => findRule(id, ownerKeyId).deliveries;
+
+/**
+ * Send a test event to one of an owner's alert rules' webhook right away
+ * Signed like a real notification but tried only once, so the caller gets
+ * an answer within one webhook timeout.
+ */
+exports.sendTestAlert = (id, ownerKeyId) => {
+  const rule = findRule(id, ownerKeyId);
+  return notify(rule, buildEvent(rule, 'alert.test', null), { attempts: 1 });
+};
+
+/**
+ * Alert activity, for monitoring
+ */
+exports.getAlertStats = () => {
+  const all = [...rules.values()];
+  return {
+    rules: all.length,
+    enabled: all.filter(rule => rule.enabled).length,
+    maxRules: config.alerts.maxRules,
+    evaluationInterval: config.alerts.evaluationInterval,
+    ...metrics
+  };
+};
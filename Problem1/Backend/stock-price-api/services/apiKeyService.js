@@ -0,0 +1,213 @@
+// services/apiKeyService.js - API keys, their tiers and daily usage
+//
+// Keys are kept in config.auth.keysFile as JSON: { keys: [{ id, name, tier,
+// prefix, hash, createdAt, revokedAt }] }. Only a SHA-256 hash of each key is
+// stored, so the file can be seeded by hand with the hash of a key issued
+// elsewhere. Daily usage is counted in memory per key and resets at 00:00 UTC.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const createError = require('http-errors');
+const config = require('../config');
+
+// Keys by hash, loaded from the keys file on first use
+let keysByHash = null;
+
+// Pending write of the keys file, so writes never interleave
+let saving = Promise.resolve();
+
+// Requests per key today: keyId -> { day, count }
+const usage = new Map();
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Load the keys file (once)
+ * A missing file means no keys have been issued yet. Keys naming a tier
+ * that isn't configured are kept but rejected, rather than given limits
+ * nobody chose.
+ */
+const loadKeys = () => {
+  if (keysByHash) {
+    return keysByHash;
+  }
+  
+  keysByHash = new Map();
+  try {
+    const { keys = [] } = JSON.parse(fs.readFileSync(config.auth.keysFile, 'utf8'));
+    keys.forEach(record => {
+      if (!config.auth.tiers[record.tier]) {
+        console.warn(`API key ${record.id} has unknown tier ${record.tier} and will be rejected`);
+      }
+      keysByHash.set(record.hash, record);
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Cannot read API keys from ${config.auth.keysFile}: ${error.message}`);
+    }
+  }
+  
+  return keysByHash;
+};
+
+/**
+ * Load the keys at startup, so an unreadable keys file stops the server
+ * rather than failing requests
+ */
+exports.initializeApiKeys = () => {
+  const keys = loadKeys();
+  console.log(`Loaded ${keys.size} API key(s) from ${config.auth.keysFile}`);
+};
+
+/**
+ * Write every key back to the keys file
+ * Written to a temporary file first, so a crash can't leave it half-written
+ */
+const saveKeys = () => {
+  const keys = [...loadKeys().values()];
+  const file = config.auth.keysFile;
+  
+  saving = saving.catch(() => {}).then(async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, JSON.stringify({ keys }, null, 2));
+    await fs.promises.rename(`${file}.tmp`, file);
+  });
+  
+  return saving;
+};
+
+/**
+ * A key as returned by the API: everything but its hash
+ */
+const toPublicKey = ({ hash, ...record }) => record;
+
+/**
+ * The current UTC day and when it ends
+ */
+const getQuotaDay = (now = Date.now()) => {
+  const day = new Date(now).toISOString().slice(0, 10);
+  const resetAt = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+  return { day, resetAt };
+};
+
+/**
+ * Look up the key presented with a request
+ * Returns its public record, or null when it is unknown, revoked or of an
+ * unknown tier
+ */
+exports.authenticateKey = (key) => {
+  const record = loadKeys().get(hashKey(key));
+  return record && !record.revokedAt && config.auth.tiers[record.tier] ? toPublicKey(record) : null;
+};
+
+/**
+ * Check whether the presented key is the admin key
+ * Compared as hashes so the comparison takes the same time whatever the input
+ */
+exports.isAdminKey = (key) => {
+  if (!config.auth.adminKey || !key) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(config.auth.adminKey), 'hex'));
+};
+
+/**
+ * Count a request against a key's daily quota
+ * Requests over the quota are not counted. Returns
+ * { limit, used, remaining, resetAt, exceeded } with limit null when the
+ * key's tier has no quota.
+ */
+exports.consumeQuota = (apiKey) => {
+  const limit = config.auth.tiers[apiKey.tier].dailyQuota;
+  const { day, resetAt } = getQuotaDay();
+  
+  let entry = usage.get(apiKey.id);
+  if (!entry || entry.day !== day) {
+    entry = { day, count: 0 };
+    usage.set(apiKey.id, entry);
+  }
+  
+  const exceeded = limit !== null && entry.count >= limit;
+  if (!exceeded) {
+    entry.count++;
+  }
+  
+  return {
+    limit,
+    used: entry.count,
+    remaining: limit !== null ? Math.max(limit - entry.count, 0) : null,
+    resetAt,
+    exceeded
+  };
+};
+
+/**
+ * Requests a key has made today
+ */
+const getUsageToday = (keyId) => {
+  const entry = usage.get(keyId);
+  return entry && entry.day === getQuotaDay().day ? entry.count : 0;
+};
+
+/**
+ * Issue a new key for a tier
+ * The key itself is only returned here; afterwards only its prefix is shown
+ */
+exports.issueKey = async ({ name, tier }) => {
+  const key = `sk_${crypto.randomBytes(24).toString('hex')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    tier,
+    prefix: key.slice(0, 10),
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  
+  loadKeys().set(record.hash, record);
+  await saveKeys();
+  
+  return { ...toPublicKey(record), key };
+};
+
+/**
+ * List every key, revoked ones included, with today's usage
+ */
+exports.listKeys = () => {
+  return [...loadKeys().values()].map(record => ({
+    ...toPublicKey(record),
+    usageToday: getUsageToday(record.id)
+  }));
+};
+
+/**
+ * Revoke a key; it is rejected from the next request on
+ * Throws a 404 for unknown keys. Revoking twice keeps the first revocation time.
+ */
+exports.revokeKey = async (id) => {
+  const record = [...loadKeys().values()].find(entry => entry.id === id);
+  if (!record) {
+    throw createError(404, `API key ${id} not found`);
+  }
+  
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await saveKeys();
+  }
+  
+  return toPublicKey(record);
+};
+
+/**
+ * Key counts, for monitoring
+ */
+exports.getApiKeyStats = () => {
+  const records = [...loadKeys().values()];
+  return {
+    requireKey: config.auth.requireKey,
+    keys: records.length,
+    activeKeys: records.filter(record => !record.revokedAt).length,
+    adminEnabled: Boolean(config.auth.adminKey)
+  };
+};
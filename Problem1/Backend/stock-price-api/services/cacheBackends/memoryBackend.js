@@ -0,0 +1,65 @@
+// services/cacheBackends/memoryBackend.js - In-process cache backend built on NodeCache
+const NodeCache = require('node-cache');
+
+/**
+ * Create an in-memory cache backend
+ * Keeps one NodeCache per freshness tier, so each tier expires on its own schedule.
+ * Entries live in this process only - every replica has its own copy.
+ * @param {Object} tiers - { short, medium, long } each with { ttl, checkPeriod } in seconds
+ */
+const createMemoryBackend = (tiers) => {
+  const caches = {};
+  
+  Object.entries(tiers).forEach(([tier, settings]) => {
+    caches[tier] = new NodeCache({
+      stdTTL: settings.ttl,
+      checkperiod: settings.checkPeriod,
+      useClones: false     // Store references for better performance
+    });
+  });
+  
+  // Cache events for monitoring
+  caches.short.on('expired', (key) => {
+    console.debug(`Cache key expired: ${key}`);
+  });
+  
+  return {
+    name: 'memory',
+    
+    get: async (key, tier) => caches[tier].get(key),
+    
+    // A null TTL falls back to the tier's default
+    set: async (key, value, ttl, tier) => {
+      return ttl === null ? caches[tier].set(key, value) : caches[tier].set(key, value, ttl);
+    },
+    
+    invalidate: async (pattern) => {
+      let invalidatedCount = 0;
+      
+      Object.values(caches).forEach(cache => {
+        cache.keys().forEach(key => {
+          if (key.includes(pattern)) {
+            cache.del(key);
+            invalidatedCount++;
+          }
+        });
+      });
+      
+      return invalidatedCount;
+    },
+    
+    stats: async () => {
+      const keys = {};
+      Object.entries(caches).forEach(([tier, cache]) => {
+        keys[tier] = cache.getStats().keys;
+      });
+      return { keys };
+    },
+    
+    close: async () => {
+      Object.values(caches).forEach(cache => cache.close());
+    }
+  };
+};
+
+module.exports = { createMemoryBackend };
@@ -0,0 +1,93 @@
+// services/cacheBackends/redisBackend.js - Shared cache backend speaking the Redis protocol
+
+/**
+ * Escape Redis glob characters so a substring can be used inside MATCH
+ */
+const escapeGlob = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+/**
+ * Create a Redis-backed cache shared by every replica
+ * Values are stored as JSON under a common key prefix; tiers only decide the
+ * default TTL since Redis expires each key individually.
+ * @param {Object} options
+ * @param {string} options.url - Redis connection URL (ignored when a client is given)
+ * @param {string} options.keyPrefix - Prefix for every key this service writes
+ * @param {Object} options.tiers - { short, medium, long } each with { ttl } in seconds
+ * @param {Object} [options.client] - Ready-made ioredis-compatible client
+ *                                   (e.g. scripts/fakeRedis.js for in-process checks)
+ */
+const createRedisBackend = ({ url, keyPrefix = '', tiers, client }) => {
+  let redis = client;
+  
+  if (!redis) {
+    // Only load the driver when this backend is actually selected
+    const Redis = require('ioredis');
+    redis = new Redis(url, {
+      maxRetriesPerRequest: 1,  // Fail fast - a cache miss is better than a hung request
+      enableOfflineQueue: false
+    });
+  }
+  
+  redis.on('error', (error) => {
+    console.error(`Redis cache error: ${error.message}`);
+  });
+  
+  /**
+   * Walk all keys under the prefix matching a glob, one SCAN page at a time
+   */
+  const scanKeys = async (match, onPage) => {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await redis.scan(cursor, 'MATCH', match, 'COUNT', 500);
+      cursor = nextCursor;
+      if (keys.length > 0) {
+        await onPage(keys);
+      }
+    } while (cursor !== '0');
+  };
+  
+  return {
+    name: 'redis',
+    
+    get: async (key) => {
+      const raw = await redis.get(keyPrefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    
+    // Millisecond expiry so fractional TTLs survive; null falls back to the tier's default
+    set: async (key, value, ttl, tier) => {
+      const seconds = ttl === null ? tiers[tier].ttl : ttl;
+      const milliseconds = Math.max(1, Math.round(seconds * 1000));
+      await redis.set(keyPrefix + key, JSON.stringify(value), 'PX', milliseconds);
+      return true;
+    },
+    
+    invalidate: async (pattern) => {
+      let invalidatedCount = 0;
+      
+      await scanKeys(`${escapeGlob(keyPrefix)}*${escapeGlob(pattern)}*`, async (keys) => {
+        // The prefix itself may contain the pattern, so check the unprefixed part
+        const matching = keys.filter(key => key.slice(keyPrefix.length).includes(pattern));
+        if (matching.length > 0) {
+          invalidatedCount += await redis.del(...matching);
+        }
+      });
+      
+      return invalidatedCount;
+    },
+    
+    stats: async () => {
+      let keys = 0;
+      await scanKeys(`${escapeGlob(keyPrefix)}*`, async (page) => {
+        keys += page.length;
+      });
+      return { keys: { all: keys } };
+    },
+    
+    close: async () => {
+      await redis.quit();
+    }
+  };
+};
+
+module.exports = { createRedisBackend };
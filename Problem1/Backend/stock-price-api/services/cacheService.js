@@ -1,131 +1,206 @@
 // services/cacheService.js - Smart caching mechanism for stock data
-const NodeCache = require('node-cache');
+// The storage itself is delegated to a pluggable backend (see cacheBackends/),
+// selected with config.cache.backend
+const config = require('../config');
+const { createMemoryBackend } = require('./cacheBackends/memoryBackend');
+const { createRedisBackend } = require('./cacheBackends/redisBackend');
+const { getWindowKey } = require('../utils/timeWindow');
 
-// Create cache instances with different TTLs
-// Using multiple caches with different expiration times for different types of data
-const shortTermCache = new NodeCache({ 
-  stdTTL: 10,          // Very recent data (10 seconds)
-  checkperiod: 5,      // Check for expired keys every 5 seconds
-  useClones: false     // Store references for better performance
-});
+// Freshness tiers with different default TTLs
+// Using multiple tiers with different expiration times for different types of data
+const CACHE_TIERS = {
+  short: config.cache.shortTerm,      // Very recent data (10 seconds by default)
+  medium: config.cache.mediumTerm,    // Medium freshness data (1 minute by default)
+  long: config.cache.longTerm         // Historical data (5 minutes by default)
+};
+
+// Upstream data kept past its TTL so it can still be served stale
+const STALE_RETAINED_TYPES = ['rawHistory', 'currentPrice', 'symbols'];
+
+// Active backend, created on first use
+let backend = null;
+
+/**
+ * Create the backend named in the cache configuration
+ */
+const createBackend = (cacheConfig) => {
+  switch (cacheConfig.backend) {
+    case 'memory':
+      return createMemoryBackend(CACHE_TIERS);
+    case 'redis':
+      return createRedisBackend({ ...cacheConfig.redis, tiers: CACHE_TIERS });
+    default:
+      throw new Error(`Unknown cache backend: ${cacheConfig.backend}`);
+  }
+};
 
-const mediumTermCache = new NodeCache({ 
-  stdTTL: 60,          // Medium freshness data (1 minute)
-  checkperiod: 30,     // Check expired keys every 30 seconds
-  useClones: false
-});
+/**
+ * Get the active backend, creating it from config if needed
+ */
+const getBackend = () => {
+  if (!backend) {
+    backend = createBackend(config.cache);
+  }
+  return backend;
+};
 
-const longTermCache = new NodeCache({ 
-  stdTTL: 300,         // Historical data (5 minutes)
-  checkperiod: 150,    // Check expired keys every 2.5 minutes
-  useClones: false
-});
+/**
+ * Replace the active backend (e.g. with a Redis backend around an in-process fake)
+ * Backend interface: get(key, tier), set(key, value, ttl, tier),
+ * invalidate(pattern), stats(), close() - all returning promises
+ */
+const setCacheBackend = (newBackend) => {
+  backend = newBackend;
+};
 
 /**
  * Cache key generator
  * Creates consistent keys for caching based on parameters
+ * Time windows key on their length (relative) or normalized bounds (absolute)
  */
 const createCacheKey = (type, params) => {
   switch (type) {
     case 'stockPrice':
-      return `stock:${params.ticker}:${params.minutes}:${params.aggregation}`;
-    case 'stockHistory':
-      return `history:${params.ticker}:${params.minutes}`;
+      return `stock:${params.ticker}:${getWindowKey(params)}:${params.aggregation}` +
+        (params.confidence !== undefined ? `:${params.confidence}` : '');
+    case 'candles':
+      return `candles:${params.ticker}:${getWindowKey(params)}:${params.interval}:${params.fill}`;
+    case 'indicators':
+      return `ind:${params.ticker}:${getWindowKey(params)}:${params.name}:${JSON.stringify(params.params)}`;
+    case 'rawHistory':
+      return `history:${params.ticker}`;
+    case 'symbols':
+      return 'symbols';
+    case 'sector':
+      return `sector:${params.sector.toLowerCase()}:${getWindowKey(params)}:${params.aggregation}`;
     case 'correlation':
-      return `corr:${params.tickers.sort().join('_')}:${params.minutes}`;
+      return `corr:${params.tickers.sort().join('_')}:${getWindowKey(params)}:${params.basis}:${params.method}`;
+    case 'correlationMatrix':
+      // Ticker order is preserved because it defines the matrix layout
+      return `corrmatrix:${params.tickers.join('_')}:${getWindowKey(params)}:${params.basis}:${params.method}`;
     default:
       return `${type}:${JSON.stringify(params)}`;
   }
 };
 
 /**
- * Determines which cache to use based on data freshness needs
+ * Determines which cache tier to use based on data freshness needs
  */
-const getCacheForType = (type, minutes) => {
+const getCacheTier = (type, minutes) => {
   // Very recent data needs more frequent updates
   if (minutes <= 5) {
-    return shortTermCache;
+    return 'short';
   }
   // Medium term data (5-30 minutes)
   else if (minutes <= 30) {
-    return mediumTermCache;
+    return 'medium';
   }
-  // Historical data can be cached longer
+  // Historical data (including absolute from/to windows) can be cached longer
   else {
-    return longTermCache;
+    return 'long';
   }
 };
 
 /**
- * Gets data from appropriate cache
+ * Gets an entry from the appropriate cache, including expired-but-retained ones
+ * Returns { value, storedAt, stale, staleSeconds } or undefined on a miss
+ * Backend failures are treated as a miss so the API keeps serving
  */
-const getCachedData = (type, params) => {
+const getCachedEntry = async (type, params) => {
   const key = createCacheKey(type, params);
-  const cache = getCacheForType(type, params.minutes);
-  return cache.get(key);
+  
+  let envelope;
+  try {
+    envelope = await getBackend().get(key, getCacheTier(type, params.minutes));
+  } catch (error) {
+    console.error(`Cache read failed for ${key}: ${error.message}`);
+    return undefined;
+  }
+  
+  if (!envelope) {
+    return undefined;
+  }
+  
+  const now = Date.now();
+  return {
+    value: envelope.value,
+    storedAt: envelope.storedAt,
+    stale: now >= envelope.expiresAt,
+    staleSeconds: Math.max(now - envelope.expiresAt, 0) / 1000
+  };
+};
+
+/**
+ * Gets data from appropriate cache
+ * Only fresh data is returned - expired entries count as a miss
+ */
+const getCachedData = async (type, params) => {
+  const entry = await getCachedEntry(type, params);
+  return entry && !entry.stale ? entry.value : undefined;
 };
 
 /**
  * Stores data in appropriate cache
  * TTL can be overridden for special cases
+ * Entries are wrapped with their storage time and freshness deadline; upstream
+ * data types stay in the backend for config.cache.staleIfError seconds longer
  */
-const setCachedData = (type, params, data, ttl = null) => {
+const setCachedData = async (type, params, data, ttl = null) => {
   const key = createCacheKey(type, params);
-  const cache = getCacheForType(type, params.minutes);
-  return cache.set(key, data, ttl);
+  const tier = getCacheTier(type, params.minutes);
+  const freshSeconds = ttl === null ? CACHE_TIERS[tier].ttl : ttl;
+  const retainSeconds = STALE_RETAINED_TYPES.includes(type) ? config.cache.staleIfError : 0;
+  
+  const now = Date.now();
+  const envelope = {
+    value: data,
+    storedAt: now,
+    expiresAt: now + freshSeconds * 1000
+  };
+  
+  try {
+    return await getBackend().set(key, envelope, freshSeconds + retainSeconds, tier);
+  } catch (error) {
+    console.error(`Cache write failed for ${key}: ${error.message}`);
+    return false;
+  }
 };
 
 /**
  * Invalidates cache entries by pattern
  * Useful for removing all data for a specific stock
  */
-const invalidateCache = (pattern) => {
-  const caches = [shortTermCache, mediumTermCache, longTermCache];
-  let invalidatedCount = 0;
-  
-  caches.forEach(cache => {
-    const keys = cache.keys();
-    keys.forEach(key => {
-      if (key.includes(pattern)) {
-        cache.del(key);
-        invalidatedCount++;
-      }
-    });
-  });
-  
-  return invalidatedCount;
+const invalidateCache = async (pattern) => {
+  return getBackend().invalidate(pattern);
 };
 
 /**
  * Initialize cache - can be used to pre-warm cache with popular stocks
  */
 const initializeCache = () => {
+  const activeBackend = getBackend();
+  
   // Could pre-fetch popular stocks on startup
-  console.log('Cache service initialized');
+  console.log(`Cache service initialized (${activeBackend.name} backend)`);
   
-  // Periodic cleanup to prevent memory leaks
-  setInterval(() => {
-    const stats = {
-      short: shortTermCache.getStats(),
-      medium: mediumTermCache.getStats(),
-      long: longTermCache.getStats()
-    };
-    
-    console.log(`Cache stats - Keys: short=${stats.short.keys}, medium=${stats.medium.keys}, long=${stats.long.keys}`);
+  // Periodic stats logging for monitoring
+  setInterval(async () => {
+    try {
+      const { keys } = await getBackend().stats();
+      const summary = Object.entries(keys).map(([tier, count]) => `${tier}=${count}`).join(', ');
+      console.log(`Cache stats - Keys: ${summary}`);
+    } catch (error) {
+      console.error(`Cache stats unavailable: ${error.message}`);
+    }
   }, 60000); // Log stats every minute
 };
 
-// Cache events for monitoring
-shortTermCache.on('expired', (key, value) => {
-  if (process.env.NODE_ENV === 'development') {
-    console.log(`Cache key expired: ${key}`);
-  }
-});
-
 module.exports = {
   getCachedData,
+  getCachedEntry,
   setCachedData,
   invalidateCache,
   createCacheKey,
-  initializeCache
-};
\ No newline at end of file
+  initializeCache,
+  setCacheBackend
+};
@@ -0,0 +1,114 @@
+// services/circuitBreaker.js - Circuit breaker for calls to an upstream host
+const createError = require('http-errors');
+
+/**
+ * Create a circuit breaker
+ * - closed: calls go through; failureThreshold consecutive failures open it
+ * - open: calls fail fast with a 503 until resetTimeout (ms) has passed
+ * - half-open: up to halfOpenMaxCalls trial calls go through; a success
+ *   closes the breaker again, a failure reopens it
+ * isFailure(error) decides which errors count against the upstream, so
+ * client errors such as an unknown ticker don't trip it
+ */
+const createCircuitBreaker = ({ name, failureThreshold, resetTimeout, halfOpenMaxCalls, isFailure = () => true }) => {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let halfOpenCalls = 0;
+  
+  // Counters for monitoring
+  const metrics = {
+    successes: 0,
+    failures: 0,
+    rejections: 0,   // Calls failed fast without reaching the upstream
+    timesOpened: 0
+  };
+  
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+    halfOpenCalls = 0;
+    metrics.timesOpened++;
+    console.warn(`Circuit breaker for ${name} opened after ${consecutiveFailures} consecutive failures`);
+  };
+  
+  const close = () => {
+    if (state !== 'closed') {
+      console.log(`Circuit breaker for ${name} closed`);
+    }
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    halfOpenCalls = 0;
+  };
+  
+  // Seconds until an open breaker lets a trial call through
+  const secondsUntilRetry = () => {
+    return Math.max(Math.ceil((openedAt + resetTimeout - Date.now()) / 1000), 1);
+  };
+  
+  const reject = () => {
+    metrics.rejections++;
+    const retryAfter = secondsUntilRetry();
+    return createError(503,
+      `Stock Exchange API (${name}) is unavailable; retry in ${retryAfter} seconds`,
+      { retryAfter });
+  };
+  
+  /**
+   * Run call() through the breaker
+   */
+  const execute = async (call) => {
+    if (state === 'open') {
+      if (Date.now() - openedAt < resetTimeout) {
+        throw reject();
+      }
+      state = 'half-open';
+      halfOpenCalls = 0;
+    }
+    
+    if (state === 'half-open') {
+      if (halfOpenCalls >= halfOpenMaxCalls) {
+        throw reject();
+      }
+      halfOpenCalls++;
+    }
+    
+    try {
+      const result = await call();
+      metrics.successes++;
+      close();
+      return result;
+    } catch (error) {
+      if (!isFailure(error)) {
+        // The upstream answered; it just didn't like the request
+        close();
+        throw error;
+      }
+      
+      metrics.failures++;
+      consecutiveFailures++;
+      if (state === 'half-open' || (state === 'closed' && consecutiveFailures >= failureThreshold)) {
+        open();
+      }
+      throw error;
+    }
+  };
+  
+  /**
+   * Breaker state, for monitoring
+   */
+  const stats = () => {
+    return {
+      state,
+      consecutiveFailures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      retryAfterSeconds: state === 'open' ? secondsUntilRetry() : null,
+      ...metrics
+    };
+  };
+  
+  return { name, execute, stats };
+};
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,150 @@
+// services/priceStreamService.js - Fan-out of live prices to streaming subscribers
+const createError = require('http-errors');
+const config = require('../config');
+const { fetchCurrentStockPrice } = require('./stockApiService');
+
+// Open streams by id
+const streams = new Map();
+
+// One poller per ticker, shared by every stream subscribed to it
+const pollers = new Map();
+
+let nextStreamId = 1;
+
+/**
+ * Deliver an event to every stream subscribed to a ticker
+ */
+const broadcast = (poller, deliver) => {
+  poller.subscribers.forEach(streamId => {
+    const stream = streams.get(streamId);
+    if (stream) {
+      deliver(stream);
+    }
+  });
+};
+
+/**
+ * Poll the upstream price for a ticker once and fan the result out
+ * Only changed prices are broadcast; errors are broadcast when they start
+ */
+const pollTicker = async (ticker) => {
+  const poller = pollers.get(ticker);
+  if (!poller) return;
+  
+  try {
+    const update = await fetchCurrentStockPrice(ticker);
+    
+    // Skip repeats (e.g. served from the short-term cache)
+    const isNew = !poller.lastUpdate ||
+      poller.lastUpdate.lastUpdatedAt !== update.lastUpdatedAt ||
+      poller.lastUpdate.price !== update.price;
+    
+    poller.lastUpdate = update;
+    poller.failing = false;
+    
+    if (isNew) {
+      broadcast(poller, stream => stream.onPrice(update));
+    }
+  } catch (error) {
+    if (!poller.failing) {
+      broadcast(poller, stream => stream.onError({ ticker, message: error.message, status: error.status || 500 }));
+    }
+    poller.failing = true;
+  } finally {
+    // Schedule the next poll only if someone is still listening
+    if (pollers.get(ticker) === poller) {
+      poller.timer = setTimeout(() => pollTicker(ticker), config.stream.pollInterval);
+    }
+  }
+};
+
+/**
+ * Add a stream to a ticker's poller, starting the poller if needed
+ */
+const subscribe = (ticker, stream) => {
+  let poller = pollers.get(ticker);
+  
+  if (!poller) {
+    poller = { subscribers: new Set(), timer: null, lastUpdate: null, failing: false };
+    pollers.set(ticker, poller);
+    pollTicker(ticker);
+  } else if (poller.lastUpdate) {
+    // Late subscribers get the latest known price straight away - on the next
+    // tick, so openStream() returns (and the caller can start its response) first
+    const { lastUpdate } = poller;
+    setImmediate(() => {
+      if (streams.has(stream.id)) {
+        stream.onPrice(lastUpdate);
+      }
+    });
+  }
+  
+  poller.subscribers.add(stream.id);
+};
+
+/**
+ * Remove a stream from a ticker's poller, stopping the poller when unused
+ */
+const unsubscribe = (ticker, streamId) => {
+  const poller = pollers.get(ticker);
+  if (!poller) return;
+  
+  poller.subscribers.delete(streamId);
+  
+  if (poller.subscribers.size === 0) {
+    clearTimeout(poller.timer);
+    pollers.delete(ticker);
+  }
+};
+
+/**
+ * Open a stream for a set of tickers
+ * Handlers: onPrice(update), onError({ ticker, message, status }), onClose(reason)
+ * No handler is called before openStream() returns.
+ * Throws a 503 when the concurrent stream limit is reached
+ */
+exports.openStream = (tickers, { onPrice, onError, onClose }) => {
+  if (streams.size >= config.stream.maxStreams) {
+    throw createError(503, `Too many concurrent streams (limit ${config.stream.maxStreams}), please try again later`);
+  }
+  
+  const stream = {
+    id: nextStreamId++,
+    tickers: [...tickers],
+    openedAt: Date.now(),
+    onPrice,
+    onError,
+    onClose
+  };
+  streams.set(stream.id, stream);
+  
+  stream.tickers.forEach(ticker => subscribe(ticker, stream));
+  
+  return stream.id;
+};
+
+/**
+ * Close a stream and release its ticker subscriptions
+ * Streams stay open however quiet their tickers are; the caller closes them
+ * when the client disconnects.
+ */
+exports.closeStream = (streamId, reason = 'closed') => {
+  const stream = streams.get(streamId);
+  if (!stream) return;
+  
+  streams.delete(streamId);
+  stream.tickers.forEach(ticker => unsubscribe(ticker, streamId));
+  
+  stream.onClose(reason);
+};
+
+/**
+ * Current streaming load, for monitoring
+ */
+exports.getStreamStats = () => {
+  return {
+    activeStreams: streams.size,
+    maxStreams: config.stream.maxStreams,
+    polledTickers: [...pollers.keys()]
+  };
+};
@@ -1,36 +1,136 @@
 // services/stockApiService.js - Service for fetching stock data from exchange API
 const axios = require('axios');
 const createError = require('http-errors');
-const { getCachedData, setCachedData } = require('./cacheService');
+const config = require('../config');
+const { getCachedEntry, setCachedData } = require('./cacheService');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { recordTicks, getTicks } = require('./tickStore');
+const { getRequestContext } = require('../utils/requestContext');
 
 // Configure API client
 const apiClient = axios.create({
-  baseURL: process.env.STOCK_API_URL || 'http://stock-exchange-api',
-  timeout: 5000,
+  baseURL: config.stockApi.baseUrl,
+  timeout: config.stockApi.timeout,
   headers: {
     'Content-Type': 'application/json',
     'User-Agent': 'StockAggregationService/1.0'
   }
 });
 
-// Exponential backoff retry mechanism for API failures
-const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
-  let retries = 0;
+// Circuit breakers, one per upstream host
+const circuitBreakers = new Map();
+
+// Only timeouts, network errors and 5xx responses count against the upstream
+const isUpstreamFailure = (error) => !error.response || error.response.status >= 500;
+
+/**
+ * Get (or create) the circuit breaker for the host a URL is sent to
+ */
+const getCircuitBreaker = (url) => {
+  const { host } = new URL(url, apiClient.defaults.baseURL);
+  
+  if (!circuitBreakers.has(host)) {
+    circuitBreakers.set(host, createCircuitBreaker({
+      name: host,
+      ...config.stockApi.circuitBreaker,
+      isFailure: isUpstreamFailure
+    }));
+  }
+  
+  return circuitBreakers.get(host);
+};
+
+/**
+ * Circuit breaker state per upstream host, for monitoring
+ */
+exports.getCircuitBreakerStats = () => {
+  const stats = {};
+  circuitBreakers.forEach((breaker, host) => {
+    stats[host] = breaker.stats();
+  });
+  return stats;
+};
+
+/**
+ * Why a failed upstream call is worth retrying, or null when it isn't
+ * Only transient failures qualify: timeouts, network errors, 429 and 5xx.
+ * Other responses (e.g. 404 for an unknown ticker) will not change on retry,
+ * and an open circuit breaker has already decided to fail fast.
+ */
+const getRetryReason = (error) => {
+  if (error.retryAfter) {
+    return null;
+  }
+  
+  if (!error.response) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : (error.code || 'network error');
+  }
+  
+  const { status } = error.response;
+  return status === 429 || status >= 500 ? `HTTP ${status}` : null;
+};
+
+/**
+ * Parse an upstream Retry-After header (seconds or an HTTP date) into milliseconds
+ * Returns null when the header is missing or unreadable
+ */
+const parseRetryAfter = (error) => {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) {
+    return null;
+  }
   
-  while (retries < maxRetries) {
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Jittered exponential backoff: a random delay up to base * 2^(retry - 1), capped
+ */
+const calculateBackoff = (retry) => {
+  const { retryBaseDelay, retryMaxDelay } = config.stockApi;
+  return Math.round(Math.random() * Math.min(retryBaseDelay * Math.pow(2, retry - 1), retryMaxDelay));
+};
+
+// Retry mechanism for transient API failures (all upstream calls are idempotent GETs)
+// Waits honor the upstream's Retry-After, otherwise back off with jitter, and
+// all attempts share one deadline. Every attempt goes through the host's
+// circuit breaker; once it is open its 503 is thrown straight away.
+// Retries are recorded on the request context for the request log.
+const fetchWithRetry = async (url, options = {}) => {
+  const { retryAttempts, retryDeadline, timeout } = config.stockApi;
+  const breaker = getCircuitBreaker(url);
+  const deadline = Date.now() + retryDeadline;
+  let attempt = 0;
+  
+  while (true) {
+    attempt++;
+    
     try {
-      return await apiClient.get(url, options);
+      // No attempt may outlive the overall deadline
+      const attemptTimeout = Math.max(Math.min(timeout, deadline - Date.now()), 1);
+      return await breaker.execute(() => apiClient.get(url, { ...options, timeout: attemptTimeout }));
     } catch (error) {
-      retries++;
+      const reason = getRetryReason(error);
+      if (!reason || attempt >= retryAttempts) {
+        throw error;
+      }
       
-      // If we've used all retries, throw the error
-      if (retries === maxRetries) {
+      const delay = parseRetryAfter(error) ?? calculateBackoff(attempt);
+      
+      // Give up rather than wait past the deadline
+      if (Date.now() + delay >= deadline) {
+        console.log(`Not retrying ${url} after ${reason}: a ${delay}ms wait would pass the deadline`);
         throw error;
       }
-
-      // Calculate backoff delay: 2^retries * 300 milliseconds
-      const delay = Math.pow(2, retries) * 300;
-      console.log(`Retry ${retries}/${maxRetries} for ${url} in ${delay}ms`);
+      
+      console.log(`Retry ${attempt}/${retryAttempts - 1} for ${url} after ${reason} in ${delay}ms`);
+      getRequestContext()?.upstreamRetries.push({ url, attempt, reason, delayMs: delay });
       
       // Wait for the backoff period
       await new Promise(resolve => setTimeout(resolve, delay));
@@ -38,53 +138,234 @@ const fetchWithRetry = async (url, options = {}, maxRetries = 3) => {
   }
 };
 
+// Upstream requests currently in flight, keyed by path (one per ticker and endpoint)
+const inFlightRequests = new Map();
+
+// Counters for request coalescing
+const coalescingMetrics = {
+  upstreamCalls: 0,   // Requests that actually went upstream
+  coalescedCalls: 0   // Requests that joined one already in flight
+};
+
 /**
- * Fetches stock price history from the API
- * Uses smart caching to reduce API calls
+ * Single-flight upstream GET
+ * Concurrent callers for the same path share one fetchWithRetry promise,
+ * including its failure. The entry is dropped as soon as it settles, so
+ * errors are never reused by later calls.
  */
-exports.fetchStockPriceHistory = async (ticker, minutesBack) => {
+const fetchCoalesced = (url) => {
+  const inFlight = inFlightRequests.get(url);
+  if (inFlight) {
+    coalescingMetrics.coalescedCalls++;
+    return inFlight;
+  }
+  
+  coalescingMetrics.upstreamCalls++;
+  const request = fetchWithRetry(url).finally(() => {
+    inFlightRequests.delete(url);
+  });
+  inFlightRequests.set(url, request);
+  
+  return request;
+};
+
+/**
+ * Request coalescing counters, for monitoring
+ */
+exports.getCoalescingStats = () => {
+  return {
+    ...coalescingMetrics,
+    inFlight: inFlightRequests.size
+  };
+};
+
+/**
+ * Work out how long a raw history can be cached from its newest tick
+ * The next tick is expected one typical tick spacing after the newest one,
+ * so the entry lives until then (within config.cache.historyMinTtl and
+ * historyMaxTtl). An overdue tick means the feed may update at any moment,
+ * so the minimum TTL applies.
+ */
+const calculateHistoryTtl = (history, now = Date.now()) => {
+  const { historyMinTtl, historyMaxTtl } = config.cache;
+  
+  if (history.length < 2) {
+    return historyMinTtl;
+  }
+  
+  const times = history.map(entry => new Date(entry.lastUpdatedAt).getTime());
+  const newestTick = times[times.length - 1];
+  
+  // Median spacing resists the clustering of ticks near "now"
+  const spacings = times.slice(1).map((time, i) => time - times[i]).sort((a, b) => a - b);
+  const medianSpacing = spacings[Math.floor(spacings.length / 2)];
+  
+  const secondsUntilNextTick = (newestTick + medianSpacing - now) / 1000;
+  return Math.min(Math.max(secondsUntilNextTick, historyMinTtl), historyMaxTtl);
+};
+
+/**
+ * Slices the ticks of the last minutesBack minutes out of a full history
+ */
+const sliceHistoryWindow = (history, minutesBack, now = Date.now()) => {
+  const thresholdTime = now - minutesBack * 60 * 1000;
+  return history.filter(entry => new Date(entry.lastUpdatedAt).getTime() >= thresholdTime);
+};
+exports.sliceHistoryWindow = sliceHistoryWindow;
+
+/**
+ * Slices the ticks between from and to (epoch ms, inclusive) out of a history
+ */
+const sliceHistoryRange = (history, from, to) => {
+  return history.filter(entry => {
+    const time = new Date(entry.lastUpdatedAt).getTime();
+    return time >= from && time <= to;
+  });
+};
+exports.sliceHistoryRange = sliceHistoryRange;
+
+/**
+ * Merge stored ticks into a fresh upstream history, oldest to newest
+ * Where both have a tick at the same time the upstream's wins
+ */
+const mergeHistories = (stored, fresh) => {
+  const byTime = new Map();
+  stored.forEach(entry => byTime.set(new Date(entry.lastUpdatedAt).getTime(), entry));
+  fresh.forEach(entry => byTime.set(new Date(entry.lastUpdatedAt).getTime(), entry));
+  
+  return [...byTime.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, entry]) => entry);
+};
+
+/**
+ * Find the price in effect at a point in time: the last tick before it
+ * Returns null when the history does not reach back that far
+ */
+exports.findPriceBefore = (history, time) => {
+  let price = null;
+  for (const entry of history) {
+    if (new Date(entry.lastUpdatedAt).getTime() >= time) break;
+    price = entry.price;
+  }
+  return price;
+};
+
+/**
+ * Serve cached upstream data with stale fallbacks
+ * - fresh entry: returned as is
+ * - expired up to config.cache.staleWhileRevalidate seconds ago: returned
+ *   immediately while load() refreshes it in the background
+ * - older: load() is awaited, falling back to the stale copy if it fails
+ * load() must fetch the data and cache it. Resolves to { value, stale, storedAt }
+ */
+const fetchWithStaleFallback = async (type, params, load) => {
+  const entry = await getCachedEntry(type, params);
+  
+  if (entry && !entry.stale) {
+    return { value: entry.value, stale: false, storedAt: entry.storedAt };
+  }
+  
+  if (entry && entry.staleSeconds <= config.cache.staleWhileRevalidate) {
+    load().catch(error => {
+      console.error(`Background refresh of ${type} ${JSON.stringify(params)} failed: ${error.message}`);
+    });
+    return { value: entry.value, stale: true, storedAt: entry.storedAt };
+  }
+  
   try {
-    // Create params object for caching
-    const params = { ticker, minutes: minutesBack };
-    
-    // Check if we have this data cached
-    const cachedData = getCachedData('stockHistory', params);
-    if (cachedData) {
-      console.log(`Cache hit for ${ticker} history data`);
-      return cachedData;
+    return { value: await load(), stale: false, storedAt: Date.now() };
+  } catch (error) {
+    if (!entry) {
+      throw error;
     }
     
-    console.log(`Fetching price history for ${ticker} for the last ${minutesBack} minutes`);
-    
-    // Calculate time threshold
-    const thresholdTime = new Date();
-    thresholdTime.setMinutes(thresholdTime.getMinutes() - minutesBack);
-    
-    // Make API request
-    const response = await fetchWithRetry(`/stocks/${ticker}/history`);
+    console.warn(`Serving stale ${type} for ${JSON.stringify(params)} after upstream error: ${error.message}`);
+    return { value: entry.value, stale: true, storedAt: entry.storedAt };
+  }
+};
+
+/**
+ * Describe how fresh the data behind a response is
+ * Returns {} when every snapshot is fresh, otherwise the stale flag with the
+ * time and age of the oldest snapshot, ready to spread into a response
+ */
+exports.describeStaleness = (...snapshots) => {
+  const staleSnapshots = snapshots.filter(snapshot => snapshot && snapshot.stale);
+  if (staleSnapshots.length === 0) {
+    return {};
+  }
+  
+  const oldest = Math.min(...staleSnapshots.map(snapshot => new Date(snapshot.asOf).getTime()));
+  return {
+    stale: true,
+    asOf: new Date(oldest).toISOString(),
+    ageSeconds: Math.round((Date.now() - oldest) / 1000)
+  };
+};
+
+/**
+ * Fetches the full upstream history for a ticker and caches it until the
+ * next tick is expected
+ */
+const loadFullHistory = async (ticker) => {
+  console.log(`Fetching price history for ${ticker}`);
+  
+  // Make API request, sharing it with concurrent callers for this ticker
+  const response = await fetchCoalesced(`/stocks/${ticker}/history`);
+  
+  if (!response.data || !response.data.priceHistory || !Array.isArray(response.data.priceHistory)) {
+    throw createError(502, 'Invalid response from stock API');
+  }
+  
+  // Keep the history sorted so windows can be sliced directly
+  const history = [...response.data.priceHistory]
+    .sort((a, b) => new Date(a.lastUpdatedAt) - new Date(b.lastUpdatedAt));
+  
+  await setCachedData('rawHistory', { ticker }, history, calculateHistoryTtl(history));
+  
+  // Keep every tick locally; the upstream forgets them after about two hours
+  try {
+    await recordTicks(ticker, history);
+  } catch (error) {
+    console.error(`Failed to store ticks for ${ticker}: ${error.message}`);
+  }
+  
+  return history;
+};
+
+/**
+ * Fetches the price history for a ticker, oldest to newest, along with how
+ * fresh it is: { history, stale, asOf }
+ * The upstream always returns its whole history, so it is cached once per
+ * ticker and every time window is sliced from it locally. Ticks kept in the
+ * local tick store extend it back past the upstream's own window, from since
+ * (epoch ms; default: everything retained) plus the last tick before it, so
+ * the price in effect when the window opened is known.
+ */
+exports.fetchHistorySnapshot = async (ticker, since = -Infinity) => {
+  try {
+    const { value, stale, storedAt } = await fetchWithStaleFallback(
+      'rawHistory', { ticker }, () => loadFullHistory(ticker)
+    );
     
-    if (!response.data || !response.data.priceHistory || !Array.isArray(response.data.priceHistory)) {
-      throw createError(502, 'Invalid response from stock API');
+    // A store failure only costs the older ticks
+    let stored = [];
+    try {
+      stored = await getTicks(ticker, since, Infinity, { withPrevious: true });
+    } catch (error) {
+      console.error(`Failed to read stored ticks for ${ticker}: ${error.message}`);
     }
     
-    // Filter data for requested time period
-    const filteredHistory = response.data.priceHistory
-      .filter(entry => new Date(entry.lastUpdatedAt) >= thresholdTime)
-      .sort((a, b) => new Date(a.lastUpdatedAt) - new Date(b.lastUpdatedAt));
-    
-    // Calculate a smart TTL - shorter for more recent data
-    // This ensures more frequent updates for volatile short timeframes
-    const smartTtl = Math.min(minutesBack * 0.2, 60); // 20% of requested time or max 60 seconds
-    
-    // Cache the filtered data
-    setCachedData('stockHistory', params, filteredHistory, smartTtl);
-    
-    return filteredHistory;
+    return { history: mergeHistories(stored, value), stale, asOf: new Date(storedAt).toISOString() };
   } catch (error) {
     console.error(`Error fetching stock history for ${ticker}:`, error.message);
     
     // Transform errors to standard format
-    if (error.response) {
+    if (createError.isHttpError(error)) {
+      // Already an HTTP error raised above
+      throw error;
+    } else if (error.response) {
       // The server responded with a status code outside the 2xx range
       throw createError(error.response.status, 
         `Stock API error: ${error.response.data?.message || error.response.statusText}`);
@@ -98,32 +379,76 @@ exports.fetchStockPriceHistory = async (ticker, minutesBack) => {
   }
 };
 
+/**
+ * Fetches the full price history for a ticker, oldest to newest
+ */
+exports.fetchFullStockHistory = async (ticker) => {
+  const snapshot = await exports.fetchHistorySnapshot(ticker);
+  return snapshot.history;
+};
+
+/**
+ * Fetches stock price history for the last minutesBack minutes, merging
+ * stored and fresh ticks
+ */
+exports.fetchStockPriceHistory = async (ticker, minutesBack) => {
+  const now = Date.now();
+  const snapshot = await exports.fetchHistorySnapshot(ticker, now - minutesBack * 60 * 1000);
+  return sliceHistoryWindow(snapshot.history, minutesBack, now);
+};
+
+/**
+ * Fetches the exchange's symbol directory: [{ ticker, name, sector }]
+ * The listing rarely changes, so it is cached for config.symbols.directoryTtl
+ */
+exports.fetchSymbolDirectory = async () => {
+  try {
+    const { value } = await fetchWithStaleFallback('symbols', {}, async () => {
+      console.log('Fetching symbol directory');
+      const response = await fetchCoalesced('/stocks');
+      
+      if (!response.data || !Array.isArray(response.data.stocks)) {
+        throw createError(502, 'Invalid symbol directory from stock API');
+      }
+      
+      await setCachedData('symbols', {}, response.data.stocks, config.symbols.directoryTtl);
+      
+      return response.data.stocks;
+    });
+    
+    return value;
+  } catch (error) {
+    console.error(`Error fetching symbol directory: ${error.message}`);
+    throw createError(error.status || error.response?.status || 500, 
+      `Failed to fetch symbol directory: ${error.message}`, { retryAfter: error.retryAfter });
+  }
+};
+
 /**
  * Fetches current stock price
+ * A stale price (served when the upstream is failing) carries stale: true and asOf
  */
 exports.fetchCurrentStockPrice = async (ticker) => {
   try {
     const params = { ticker };
     
-    // Current price should have very short TTL
-    const cachedPrice = getCachedData('currentPrice', params);
-    if (cachedPrice) {
-      return cachedPrice;
-    }
-    
-    const response = await fetchWithRetry(`/stocks/${ticker}/price`);
-    
-    if (!response.data || typeof response.data.price !== 'number') {
-      throw createError(502, 'Invalid price data from stock API');
-    }
-    
-    // Cache current price with short TTL (5 seconds)
-    setCachedData('currentPrice', params, response.data, 5);
+    const { value, stale, storedAt } = await fetchWithStaleFallback('currentPrice', params, async () => {
+      const response = await fetchCoalesced(`/stocks/${ticker}/price`);
+      
+      if (!response.data || typeof response.data.price !== 'number') {
+        throw createError(502, 'Invalid price data from stock API');
+      }
+      
+      // Cache current price with a short TTL
+      await setCachedData('currentPrice', params, response.data, config.cache.currentPriceTtl);
+      
+      return response.data;
+    });
     
-    return response.data;
+    return stale ? { ...value, stale: true, asOf: new Date(storedAt).toISOString() } : value;
   } catch (error) {
     console.error(`Error fetching current price for ${ticker}:`, error.message);
-    throw createError(error.response?.status || 500, 
-      `Failed to fetch current price: ${error.message}`);
+    throw createError(error.status || error.response?.status || 500, 
+      `Failed to fetch current price: ${error.message}`, { retryAfter: error.retryAfter });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,121 @@
+// services/symbolService.js - Symbol directory lookups, search and suggestions
+const config = require('../config');
+const { fetchSymbolDirectory } = require('./stockApiService');
+
+/**
+ * Edit distance between two strings (Levenshtein plus adjacent swaps)
+ * The number of single-character inserts, deletes, substitutions and
+ * transpositions needed to turn one into the other, so MSTF is one edit
+ * away from MSFT
+ */
+const calculateEditDistance = (a, b) => {
+  const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,                     // Delete
+        distances[i][j - 1] + 1,                     // Insert
+        distances[i - 1][j - 1] + substitutionCost   // Substitute
+      );
+      
+      // Swap of two adjacent characters
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  
+  return distances[a.length][b.length];
+};
+
+/**
+ * Rank directory entries as suggestions for a ticker that isn't listed
+ * Close spellings of a ticker (e.g. APPL -> AAPL) and company names that
+ * start with the input (e.g. APPLE -> AAPL) both qualify
+ */
+const suggestTickers = (ticker, directory) => {
+  // Allow one edit for short symbols, two for longer ones
+  const maxDistance = ticker.length <= 3 ? 1 : 2;
+  
+  return directory
+    .map(entry => {
+      const nameMatches = entry.name.toUpperCase().startsWith(ticker);
+      return {
+        ticker: entry.ticker,
+        distance: nameMatches ? 0 : calculateEditDistance(ticker, entry.ticker)
+      };
+    })
+    .filter(candidate => candidate.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.ticker.localeCompare(b.ticker))
+    .slice(0, config.symbols.maxSuggestions)
+    .map(candidate => candidate.ticker);
+};
+
+/**
+ * List the directory, optionally filtered
+ * query matches a ticker prefix or any part of the company name or sector,
+ * and sector must match exactly, both case-insensitively. Results are sorted
+ * by ticker.
+ */
+exports.searchSymbols = async ({ query, sector } = {}) => {
+  const directory = await fetchSymbolDirectory();
+  
+  const normalizedQuery = query ? query.toUpperCase() : null;
+  const normalizedSector = sector ? sector.toLowerCase() : null;
+  
+  return directory
+    .filter(entry => {
+      if (normalizedSector && entry.sector.toLowerCase() !== normalizedSector) {
+        return false;
+      }
+      if (normalizedQuery) {
+        return entry.ticker.startsWith(normalizedQuery) ||
+          entry.name.toUpperCase().includes(normalizedQuery) ||
+          entry.sector.toUpperCase().includes(normalizedQuery);
+      }
+      return true;
+    })
+    .sort((a, b) => a.ticker.localeCompare(b.ticker));
+};
+
+/**
+ * The distinct sectors in the directory, sorted
+ */
+exports.listSectors = async () => {
+  const directory = await fetchSymbolDirectory();
+  return [...new Set(directory.map(entry => entry.sector))].sort();
+};
+
+/**
+ * Resolve a sector name to its member tickers
+ * Matching ignores case and treats hyphens and underscores as spaces, so
+ * financial-services finds Financial Services
+ * Returns { sector, members: [{ ticker, name, sector }] } or null for an unknown sector
+ */
+exports.getSectorMembers = async (sector) => {
+  const directory = await fetchSymbolDirectory();
+  const normalize = (name) => name.toLowerCase().replace(/[-_]+/g, ' ').trim();
+  const wanted = normalize(sector);
+  
+  const members = directory
+    .filter(entry => normalize(entry.sector) === wanted)
+    .sort((a, b) => a.ticker.localeCompare(b.ticker));
+  
+  return members.length > 0 ? { sector: members[0].sector, members } : null;
+};
+
+/**
+ * Find the tickers the exchange doesn't list
+ * Returns [{ ticker, suggestions }] - empty when every ticker is known
+ */
+exports.findUnknownTickers = async (tickers) => {
+  const directory = await fetchSymbolDirectory();
+  const knownTickers = new Set(directory.map(entry => entry.ticker));
+  
+  return tickers
+    .filter(ticker => !knownTickers.has(ticker))
+    .map(ticker => ({ ticker, suggestions: suggestTickers(ticker, directory) }));
+};
@@ -0,0 +1,224 @@
+// services/tickStore.js - Append-only local store of every tick fetched from the upstream
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config');
+
+// Ticks per ticker, loaded from disk on first use:
+// { ticks (oldest first), times (their epoch ms, same order), staleLines }
+// staleLines counts lines in the ticker's file that are expired or unreadable
+const tickers = new Map();
+
+// A ticker's file is rewritten once it holds at least this many stale lines
+// and at least as many stale lines as live ticks
+const MIN_STALE_LINES_TO_COMPACT = 1000;
+
+// Pending load/append work per ticker, so writes to one file never interleave
+const queues = new Map();
+
+/**
+ * Run work for a ticker after everything already queued for it
+ */
+const enqueue = (ticker, work) => {
+  const previous = queues.get(ticker) || Promise.resolve();
+  const next = previous.catch(() => {}).then(work);
+  queues.set(ticker, next);
+  
+  // Drop the queue entry once idle so it doesn't grow with every ticker ever seen
+  next.catch(() => {}).then(() => {
+    if (queues.get(ticker) === next) {
+      queues.delete(ticker);
+    }
+  });
+  
+  return next;
+};
+
+// Encoded so a ticker can never name a path outside the store
+const getFilePath = (ticker) => path.join(config.tickStore.directory, `${encodeURIComponent(ticker)}.jsonl`);
+
+const getCutoff = () => Date.now() - config.tickStore.retentionDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Index of the first stored tick at or after a time (binary search)
+ */
+const findIndex = (times, time) => {
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (times[middle] < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * Insert ticks in time order, skipping timestamps already present
+ * Ticks almost always arrive newer than everything stored, so they are
+ * appended directly; older ones are placed by binary search.
+ * Returns the ticks that were actually added
+ */
+const insertTicks = (entry, ticks) => {
+  const added = [];
+  ticks.forEach(tick => {
+    const time = new Date(tick.lastUpdatedAt).getTime();
+    if (isNaN(time) || typeof tick.price !== 'number') {
+      return;
+    }
+    
+    const stored = { price: tick.price, lastUpdatedAt: new Date(time).toISOString() };
+    const last = entry.times.length - 1;
+    if (last < 0 || time > entry.times[last]) {
+      entry.times.push(time);
+      entry.ticks.push(stored);
+    } else {
+      const index = findIndex(entry.times, time);
+      if (entry.times[index] === time) {
+        return;
+      }
+      entry.times.splice(index, 0, time);
+      entry.ticks.splice(index, 0, stored);
+    }
+    added.push(stored);
+  });
+  
+  return added;
+};
+
+/**
+ * Drop ticks older than the cutoff from memory
+ * They stay in the file, counted as stale lines, until it is compacted
+ */
+const pruneExpired = (entry, cutoff) => {
+  const expired = findIndex(entry.times, cutoff);
+  if (expired > 0) {
+    entry.times.splice(0, expired);
+    entry.ticks.splice(0, expired);
+    entry.staleLines += expired;
+  }
+};
+
+/**
+ * Rewrite a ticker's file with only its live ticks once stale lines dominate it
+ * Written to a temporary file first, so a crash can't leave it half-written
+ */
+const compactIfNeeded = async (ticker, entry) => {
+  if (entry.staleLines < Math.max(MIN_STALE_LINES_TO_COMPACT, entry.ticks.length)) {
+    return;
+  }
+  
+  const file = getFilePath(ticker);
+  await fs.promises.mkdir(config.tickStore.directory, { recursive: true });
+  await fs.promises.writeFile(`${file}.tmp`, entry.ticks.map(tick => JSON.stringify(tick) + '\n').join(''));
+  await fs.promises.rename(`${file}.tmp`, file);
+  
+  console.log(`Compacted tick store for ${ticker}: dropped ${entry.staleLines} stale line(s), kept ${entry.ticks.length}`);
+  entry.staleLines = 0;
+};
+
+/**
+ * Load a ticker's file into memory (once)
+ * Ticks older than the retention period are skipped, as are unreadable lines
+ * (e.g. a partial line left by a crash mid-append)
+ */
+const loadTicker = async (ticker) => {
+  if (tickers.has(ticker)) {
+    return tickers.get(ticker);
+  }
+  
+  const entry = { ticks: [], times: [], staleLines: 0 };
+  const cutoff = getCutoff();
+  const loaded = [];
+  
+  try {
+    const lines = readline.createInterface({ input: fs.createReadStream(getFilePath(ticker)), crlfDelay: Infinity });
+    for await (const line of lines) {
+      try {
+        const tick = JSON.parse(line);
+        if (new Date(tick.lastUpdatedAt).getTime() >= cutoff) {
+          loaded.push(tick);
+        } else {
+          entry.staleLines++;
+        }
+      } catch (error) {
+        // Skip the damaged line and keep the rest
+        entry.staleLines++;
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  // Duplicated or invalid lines are stale too
+  entry.staleLines += loaded.length - insertTicks(entry, loaded).length;
+  tickers.set(ticker, entry);
+  return entry;
+};
+
+/**
+ * Add ticks to a ticker's store
+ * Ticks whose timestamp is already stored are ignored; new ones are appended
+ * to the ticker's file. Expired ticks are dropped from memory on the way, and
+ * the file is compacted once mostly stale. Resolves to the number of ticks added.
+ */
+exports.recordTicks = (ticker, ticks) => {
+  if (!config.tickStore.enabled) {
+    return Promise.resolve(0);
+  }
+  
+  return enqueue(ticker, async () => {
+    const entry = await loadTicker(ticker);
+    const cutoff = getCutoff();
+    pruneExpired(entry, cutoff);
+    const added = insertTicks(entry, ticks.filter(tick => new Date(tick.lastUpdatedAt).getTime() >= cutoff));
+    
+    if (added.length > 0) {
+      await fs.promises.mkdir(config.tickStore.directory, { recursive: true });
+      await fs.promises.appendFile(getFilePath(ticker), added.map(tick => JSON.stringify(tick) + '\n').join(''));
+    }
+    
+    await compactIfNeeded(ticker, entry);
+    
+    return added.length;
+  });
+};
+
+/**
+ * Get a ticker's stored ticks, oldest to newest
+ * from/to (epoch ms, inclusive) narrow the range; either may be omitted.
+ * With withPrevious the last tick before from is included as well, so the
+ * price in effect at from is known.
+ */
+exports.getTicks = (ticker, from = -Infinity, to = Infinity, { withPrevious = false } = {}) => {
+  if (!config.tickStore.enabled) {
+    return Promise.resolve([]);
+  }
+  
+  return enqueue(ticker, async () => {
+    const entry = await loadTicker(ticker);
+    const start = findIndex(entry.times, Math.max(from, getCutoff()));
+    return entry.ticks.slice(withPrevious ? Math.max(start - 1, 0) : start, findIndex(entry.times, to + 1));
+  });
+};
+
+/**
+ * Tick store size, for monitoring
+ */
+exports.getTickStoreStats = () => {
+  const counts = {};
+  tickers.forEach((entry, ticker) => {
+    counts[ticker] = entry.ticks.length;
+  });
+  
+  return {
+    enabled: config.tickStore.enabled,
+    loadedTickers: tickers.size,
+    ticks: counts
+  };
+};
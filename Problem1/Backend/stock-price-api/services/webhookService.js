@@ -0,0 +1,186 @@
+// services/webhookService.js - Signed webhook delivery with retries
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+// Addresses webhooks may not reach unless their host is allowlisted: loopback,
+// private, link-local (cloud metadata), shared, multicast and unspecified ranges
+const blockedAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Error code of deliveries refused because of where they would go
+const BLOCKED_CODE = 'EWEBHOOKBLOCKED';
+
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const isAllowedHost = (host) => config.alerts.webhook.allowedHosts.includes(host.toLowerCase());
+
+/**
+ * Check that a webhook URL doesn't point into the server's own network
+ * Returns an error message, or null when the URL may be used. Hostnames are
+ * checked again when they are resolved for each delivery.
+ */
+const checkWebhookUrl = (url) => {
+  // URL keeps the brackets around IPv6 literals
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  
+  if (isAllowedHost(host)) {
+    return null;
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return `webhookUrl must not point to a loopback, private or link-local address (${host})`;
+  }
+  return null;
+};
+
+exports.checkWebhookUrl = checkWebhookUrl;
+
+/**
+ * DNS lookup for webhook connections that refuses blocked addresses, so a
+ * hostname can't be made to resolve into the internal network after the
+ * rule was accepted
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err || isAllowedHost(hostname)) {
+      return callback(err, address, family);
+    }
+    
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      const error = new Error(`${hostname} resolves to blocked address ${blocked}`);
+      error.code = BLOCKED_CODE;
+      return callback(error);
+    }
+    callback(null, address, family);
+  });
+};
+
+// Client for outgoing webhooks; every status resolves so the retry loop can judge it.
+// Redirects aren't followed, as they could lead anywhere.
+const webhookClient = axios.create({
+  headers: {
+    'Content-Type': 'application/json',
+    'User-Agent': 'StockAggregationService-Webhooks/1.0'
+  },
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+  maxRedirects: 0,
+  validateStatus: () => true
+});
+
+/**
+ * Sign a webhook body
+ * The signature is an HMAC-SHA256 of "<timestamp>.<body>" keyed with the
+ * rule's secret, so a receiver can both verify the sender and reject replays
+ * of old deliveries by checking the timestamp.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+exports.signPayload = signPayload;
+
+/**
+ * Why a delivery attempt is worth retrying, or null when it isn't
+ * Network errors, timeouts, 429 and 5xx are retried; other 4xx mean the
+ * receiver rejected the payload and a retry would be rejected too, and a
+ * blocked destination stays blocked.
+ */
+const getRetryReason = ({ status, code }) => {
+  if (code === BLOCKED_CODE) {
+    return null;
+  }
+  if (status === undefined) {
+    return code === 'ECONNABORTED' || code === 'ETIMEDOUT' ? 'timeout' : (code || 'network error');
+  }
+  return status === 429 || status >= 500 ? `HTTP ${status}` : null;
+};
+
+/**
+ * Jittered exponential backoff: a random delay up to base * 2^(retry - 1), capped
+ */
+const calculateBackoff = (retry) => {
+  const { baseDelay, maxDelay } = config.alerts.webhook;
+  return Math.round(Math.random() * Math.min(baseDelay * Math.pow(2, retry - 1), maxDelay));
+};
+
+/**
+ * Deliver an event to a webhook URL
+ * Each attempt is signed afresh (the timestamp changes) but carries the same
+ * delivery id, so receivers can drop duplicates when a retried attempt had
+ * in fact arrived. options.attempts overrides config.alerts.webhook.attempts.
+ * Never throws; resolves to the delivery record:
+ * { id, event, url, status: 'delivered' | 'failed', attempts: [...], deliveredAt }
+ */
+exports.deliverWebhook = async (url, secret, event, { attempts: maxAttempts = config.alerts.webhook.attempts } = {}) => {
+  const { timeout } = config.alerts.webhook;
+  const body = JSON.stringify(event);
+  const delivery = {
+    id: event.id,
+    event: event.type,
+    url,
+    status: 'pending',
+    attempts: [],
+    deliveredAt: null
+  };
+  
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const outcome = { attempt, at: new Date().toISOString() };
+    
+    try {
+      // Literal addresses never reach the DNS lookup, so they are checked here
+      const blockedReason = checkWebhookUrl(url);
+      if (blockedReason) {
+        throw Object.assign(new Error(blockedReason), { code: BLOCKED_CODE });
+      }
+      
+      const response = await webhookClient.post(url, body, {
+        timeout,
+        headers: {
+          'X-Webhook-Id': event.id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+        }
+      });
+      outcome.status = response.status;
+    } catch (error) {
+      // No response at all: outcome.status stays undefined
+      outcome.error = error.message;
+      outcome.code = error.code;
+    }
+    delivery.attempts.push(outcome);
+    
+    if (outcome.status >= 200 && outcome.status < 300) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      return delivery;
+    }
+    
+    const reason = getRetryReason(outcome);
+    if (!reason || attempt === maxAttempts) {
+      break;
+    }
+    
+    const delay = calculateBackoff(attempt);
+    console.log(`Webhook ${event.id} to ${url} failed (${reason}), retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+    
+    // Wait for the backoff period
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  
+  delivery.status = 'failed';
+  console.warn(`Webhook ${event.id} to ${url} failed after ${delivery.attempts.length} attempt(s)`);
+  return delivery;
+};
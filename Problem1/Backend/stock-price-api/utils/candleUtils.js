@@ -0,0 +1,93 @@
+// utils/candleUtils.js - Utilities for bucketing price history into candlesticks
+
+// Supported candle intervals in milliseconds
+const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000
+};
+
+/**
+ * Create a candle from the ticks that fall inside one bucket
+ */
+const createCandle = (bucketStart, intervalMs, ticks) => {
+  const prices = ticks.map(tick => tick.price);
+  
+  return {
+    startTime: new Date(bucketStart).toISOString(),
+    endTime: new Date(bucketStart + intervalMs).toISOString(),
+    open: prices[0],
+    high: Math.max(...prices),
+    low: Math.min(...prices),
+    close: prices[prices.length - 1],
+    count: prices.length,
+    filled: false
+  };
+};
+
+/**
+ * Create a flat placeholder candle for a bucket without ticks
+ * Carries the previous close forward
+ */
+const createFilledCandle = (bucketStart, intervalMs, previousClose) => {
+  return {
+    startTime: new Date(bucketStart).toISOString(),
+    endTime: new Date(bucketStart + intervalMs).toISOString(),
+    open: previousClose,
+    high: previousClose,
+    low: previousClose,
+    close: previousClose,
+    count: 0,
+    filled: true
+  };
+};
+
+/**
+ * Group price history into open/high/low/close candles
+ * Buckets are aligned to whole intervals (e.g. 5m candles start at :00, :05, ...)
+ * Empty buckets are either omitted or forward-filled from the previous close;
+ * buckets before the first tick are always omitted since there is nothing to carry
+ */
+const buildCandles = (priceHistory, { windowStart, windowEnd, interval, fill = 'omit' }) => {
+  const intervalMs = CANDLE_INTERVALS[interval];
+  if (!intervalMs) {
+    throw new Error(`Unsupported candle interval: ${interval}`);
+  }
+  
+  // Ticks sorted oldest to newest so open/close are well defined
+  const ticks = [...priceHistory]
+    .map(entry => ({ ...entry, time: new Date(entry.lastUpdatedAt).getTime() }))
+    .filter(entry => entry.time >= windowStart && entry.time <= windowEnd)
+    .sort((a, b) => a.time - b.time);
+  
+  const candles = [];
+  let previousClose = null;
+  let tickIndex = 0;
+  
+  const firstBucket = Math.floor(windowStart / intervalMs) * intervalMs;
+  for (let bucketStart = firstBucket; bucketStart <= windowEnd; bucketStart += intervalMs) {
+    const bucketEnd = bucketStart + intervalMs;
+    
+    // Collect the ticks inside [bucketStart, bucketEnd)
+    const bucketTicks = [];
+    while (tickIndex < ticks.length && ticks[tickIndex].time < bucketEnd) {
+      bucketTicks.push(ticks[tickIndex]);
+      tickIndex++;
+    }
+    
+    if (bucketTicks.length > 0) {
+      const candle = createCandle(bucketStart, intervalMs, bucketTicks);
+      previousClose = candle.close;
+      candles.push(candle);
+    } else if (fill === 'forward' && previousClose !== null) {
+      candles.push(createFilledCandle(bucketStart, intervalMs, previousClose));
+    }
+  }
+  
+  return candles;
+};
+
+module.exports = {
+  CANDLE_INTERVALS,
+  buildCandles
+};
@@ -0,0 +1,70 @@
+// utils/indexUtils.js - Utilities for combining several price histories into an index
+
+// Level every member starts the index at
+const INDEX_BASE = 100;
+
+/**
+ * Build an equal-weighted index series from several members' price histories
+ * Each member is rebased to INDEX_BASE at its basePrice and carried forward
+ * between its own ticks. At every tick time the index is the mean level of
+ * the members priced so far, so a member joins the index at its first tick.
+ * Members with a basePrice already in effect at windowStart are priced from
+ * the start, which gives the series an opening point at the base level.
+ * @param {Object[]} members - [{ ticker, priceHistory, basePrice, pricedAtStart }]
+ * @param {number} windowStart - Window start (epoch ms)
+ * Returns { series: [{ timestamp, value, members }], levels: { ticker: final level } }
+ */
+const buildEqualWeightedIndex = (members, windowStart) => {
+  const levels = {};
+  const series = [];
+  
+  const mean = () => {
+    const values = Object.values(levels);
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  };
+  
+  // Members already priced when the window opens start at the base level
+  members.filter(member => member.pricedAtStart).forEach(member => {
+    levels[member.ticker] = INDEX_BASE;
+  });
+  if (Object.keys(levels).length > 0) {
+    series.push({
+      timestamp: new Date(windowStart).toISOString(),
+      value: INDEX_BASE,
+      members: Object.keys(levels).length
+    });
+  }
+  
+  // Merge every member's ticks into one timeline
+  const ticks = [];
+  members.forEach(member => {
+    member.priceHistory.forEach(entry => {
+      ticks.push({
+        ticker: member.ticker,
+        time: new Date(entry.lastUpdatedAt).getTime(),
+        level: entry.price / member.basePrice * INDEX_BASE
+      });
+    });
+  });
+  ticks.sort((a, b) => a.time - b.time);
+  
+  // One index point per distinct tick time
+  for (let i = 0; i < ticks.length; i++) {
+    levels[ticks[i].ticker] = ticks[i].level;
+    
+    if (i === ticks.length - 1 || ticks[i + 1].time !== ticks[i].time) {
+      series.push({
+        timestamp: new Date(ticks[i].time).toISOString(),
+        value: mean(),
+        members: Object.keys(levels).length
+      });
+    }
+  }
+  
+  return { series, levels };
+};
+
+module.exports = {
+  INDEX_BASE,
+  buildEqualWeightedIndex
+};
@@ -0,0 +1,183 @@
+// utils/indicatorUtils.js - Technical indicators computed over price series
+// Every calculator returns an array aligned with the input prices,
+// holding null until enough points are available for a value
+
+/**
+ * Simple moving average over a fixed period
+ */
+const calculateSMA = (prices, period) => {
+  const result = new Array(prices.length).fill(null);
+  let windowSum = 0;
+  
+  for (let i = 0; i < prices.length; i++) {
+    windowSum += prices[i];
+    
+    // Drop the value that just left the window
+    if (i >= period) {
+      windowSum -= prices[i - period];
+    }
+    
+    if (i >= period - 1) {
+      result[i] = windowSum / period;
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Exponential moving average, seeded with the SMA of the first period
+ * Smoothing factor: α = 2 / (period + 1)
+ * Null entries in the input are skipped (useful when chaining indicators)
+ */
+const calculateEMA = (prices, period) => {
+  const result = new Array(prices.length).fill(null);
+  const alpha = 2 / (period + 1);
+  
+  let seen = 0;
+  let seedSum = 0;
+  let ema = null;
+  
+  for (let i = 0; i < prices.length; i++) {
+    if (prices[i] === null) continue;
+    seen++;
+    
+    if (seen < period) {
+      seedSum += prices[i];
+    } else if (seen === period) {
+      ema = (seedSum + prices[i]) / period;
+      result[i] = ema;
+    } else {
+      ema = alpha * prices[i] + (1 - alpha) * ema;
+      result[i] = ema;
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Relative strength index using Wilder's smoothing
+ * RSI = 100 - 100 / (1 + averageGain / averageLoss)
+ */
+const calculateRSI = (prices, period) => {
+  const result = new Array(prices.length).fill(null);
+  if (prices.length <= period) return result;
+  
+  const toRsi = (gain, loss) => (loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+  
+  // Seed with the simple average of the first period of changes
+  let averageGain = 0;
+  let averageLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = prices[i] - prices[i - 1];
+    averageGain += Math.max(change, 0);
+    averageLoss += Math.max(-change, 0);
+  }
+  averageGain /= period;
+  averageLoss /= period;
+  result[period] = toRsi(averageGain, averageLoss);
+  
+  for (let i = period + 1; i < prices.length; i++) {
+    const change = prices[i] - prices[i - 1];
+    averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+    averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi(averageGain, averageLoss);
+  }
+  
+  return result;
+};
+
+/**
+ * Moving average convergence/divergence
+ * MACD line = EMA(fast) - EMA(slow), signal = EMA(signal) of the MACD line
+ */
+const calculateMACD = (prices, fast, slow, signal) => {
+  const fastEma = calculateEMA(prices, fast);
+  const slowEma = calculateEMA(prices, slow);
+  
+  const macdLine = prices.map((_, i) => (
+    fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]
+  ));
+  const signalLine = calculateEMA(macdLine, signal);
+  
+  return prices.map((_, i) => {
+    if (signalLine[i] === null) return null;
+    return {
+      macd: macdLine[i],
+      signal: signalLine[i],
+      histogram: macdLine[i] - signalLine[i]
+    };
+  });
+};
+
+/**
+ * Bollinger bands: SMA ± k population standard deviations
+ */
+const calculateBollingerBands = (prices, period, stdDev) => {
+  const middle = calculateSMA(prices, period);
+  
+  return prices.map((_, i) => {
+    if (middle[i] === null) return null;
+    
+    const window = prices.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, price) => sum + Math.pow(price - middle[i], 2), 0) / period;
+    const deviation = Math.sqrt(variance);
+    
+    return {
+      middle: middle[i],
+      upper: middle[i] + stdDev * deviation,
+      lower: middle[i] - stdDev * deviation
+    };
+  });
+};
+
+/**
+ * Indicator registry
+ * - params: accepted query parameters with defaults and bounds
+ * - requiredPoints: price points needed before the first value appears
+ * - calculate: computes the aligned series
+ */
+const INDICATORS = {
+  sma: {
+    params: { period: { default: 10, min: 2, max: 200, integer: true } },
+    requiredPoints: ({ period }) => period,
+    calculate: (prices, { period }) => calculateSMA(prices, period)
+  },
+  ema: {
+    params: { period: { default: 10, min: 2, max: 200, integer: true } },
+    requiredPoints: ({ period }) => period,
+    calculate: (prices, { period }) => calculateEMA(prices, period)
+  },
+  rsi: {
+    params: { period: { default: 14, min: 2, max: 200, integer: true } },
+    requiredPoints: ({ period }) => period + 1,
+    calculate: (prices, { period }) => calculateRSI(prices, period)
+  },
+  macd: {
+    params: {
+      fast: { default: 12, min: 2, max: 200, integer: true },
+      slow: { default: 26, min: 3, max: 200, integer: true },
+      signal: { default: 9, min: 2, max: 200, integer: true }
+    },
+    requiredPoints: ({ slow, signal }) => slow + signal - 1,
+    calculate: (prices, { fast, slow, signal }) => calculateMACD(prices, fast, slow, signal)
+  },
+  bollinger: {
+    params: {
+      period: { default: 20, min: 2, max: 200, integer: true },
+      stdDev: { default: 2, min: 0.1, max: 5, integer: false }
+    },
+    requiredPoints: ({ period }) => period,
+    calculate: (prices, { period, stdDev }) => calculateBollingerBands(prices, period, stdDev)
+  }
+};
+
+module.exports = {
+  INDICATORS,
+  calculateSMA,
+  calculateEMA,
+  calculateRSI,
+  calculateMACD,
+  calculateBollingerBands
+};
@@ -0,0 +1,39 @@
+// utils/logLevel.js - Apply config.server.logLevel to console output
+//
+// Modules log straight to the console: console.error, console.warn,
+// console.log/info (info) and console.debug. Levels more verbose than the
+// configured one are silenced when the server starts.
+
+// Least to most verbose
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// The level each console method logs at
+const METHOD_LEVELS = {
+  error: 'error',
+  warn: 'warn',
+  log: 'info',
+  info: 'info',
+  debug: 'debug'
+};
+
+/**
+ * Whether messages at a level are shown under the configured level
+ */
+const isLevelEnabled = (level, configuredLevel) => LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(configuredLevel);
+
+/**
+ * Silence the console methods above the configured level
+ */
+const applyLogLevel = (configuredLevel) => {
+  Object.entries(METHOD_LEVELS).forEach(([method, level]) => {
+    if (!isLevelEnabled(level, configuredLevel)) {
+      console[method] = () => {};
+    }
+  });
+};
+
+module.exports = {
+  LOG_LEVELS,
+  isLevelEnabled,
+  applyLogLevel
+};
@@ -41,6 +41,7 @@ const calculateMean = (numbers) => {
     
     return Math.sqrt(variance);
   };
+  exports.calculateStandardDeviation = calculateStandardDeviation;
   
   /**
    * Calculate covariance between two arrays of numbers
@@ -60,12 +61,44 @@ const calculateMean = (numbers) => {
     
     return sum / (xValues.length - 1);
   };
+  exports.calculateCovariance = calculateCovariance;
+  
+  /**
+   * Rank an array of numbers (1 = smallest)
+   * Tied values share the average of the ranks they span
+   */
+  const calculateRanks = (numbers) => {
+    const indexed = numbers
+      .map((value, index) => ({ value, index }))
+      .sort((a, b) => a.value - b.value);
+    
+    const ranks = new Array(numbers.length);
+    let i = 0;
+    
+    while (i < indexed.length) {
+      // Find the end of the run of tied values
+      let j = i;
+      while (j + 1 < indexed.length && indexed[j + 1].value === indexed[i].value) {
+        j++;
+      }
+      
+      // Positions i..j share ranks (i + 1)..(j + 1)
+      const averageRank = (i + j) / 2 + 1;
+      for (let k = i; k <= j; k++) {
+        ranks[indexed[k].index] = averageRank;
+      }
+      
+      i = j + 1;
+    }
+    
+    return ranks;
+  };
   
   /**
    * Calculate Pearson correlation coefficient between two arrays
    * Formula: r = cov(X,Y) / (σX * σY)
    */
-  exports.calculateCorrelation = (xValues, yValues) => {
+  const calculatePearsonCorrelation = (xValues, yValues) => {
     if (!xValues || !yValues || xValues.length !== yValues.length || xValues.length <= 1) {
       return 0;
     }
@@ -82,6 +115,381 @@ const calculateMean = (numbers) => {
     return covariance / (xStdDev * yStdDev);
   };
   
+  /**
+   * Calculate Spearman rank correlation coefficient between two arrays
+   * Pearson correlation of the (tie-averaged) ranks
+   */
+  const calculateSpearmanCorrelation = (xValues, yValues) => {
+    if (!xValues || !yValues || xValues.length !== yValues.length || xValues.length <= 1) {
+      return 0;
+    }
+    
+    return calculatePearsonCorrelation(calculateRanks(xValues), calculateRanks(yValues));
+  };
+  
+  /**
+   * Calculate Kendall tau-b rank correlation coefficient between two arrays
+   * Formula: τb = (C - D) / sqrt((n0 - n1) * (n0 - n2)), which corrects for ties
+   */
+  const calculateKendallCorrelation = (xValues, yValues) => {
+    if (!xValues || !yValues || xValues.length !== yValues.length || xValues.length <= 1) {
+      return 0;
+    }
+    
+    let concordant = 0;
+    let discordant = 0;
+    let tiedOnlyX = 0;
+    let tiedOnlyY = 0;
+    
+    for (let i = 0; i < xValues.length - 1; i++) {
+      for (let j = i + 1; j < xValues.length; j++) {
+        const xSign = Math.sign(xValues[i] - xValues[j]);
+        const ySign = Math.sign(yValues[i] - yValues[j]);
+        
+        if (xSign === 0 && ySign === 0) {
+          continue; // Tied in both - counts towards neither side
+        } else if (xSign === 0) {
+          tiedOnlyX++;
+        } else if (ySign === 0) {
+          tiedOnlyY++;
+        } else if (xSign === ySign) {
+          concordant++;
+        } else {
+          discordant++;
+        }
+      }
+    }
+    
+    // Pairs untied in X and pairs untied in Y respectively
+    const untiedX = concordant + discordant + tiedOnlyY;
+    const untiedY = concordant + discordant + tiedOnlyX;
+    
+    // Cannot calculate correlation if either series is constant
+    if (untiedX === 0 || untiedY === 0) {
+      return 0;
+    }
+    
+    return (concordant - discordant) / Math.sqrt(untiedX * untiedY);
+  };
+  
+  /**
+   * Calculate correlation coefficient between two arrays
+   * Supports pearson (linear), spearman and kendall (rank-based) methods
+   */
+  exports.calculateCorrelation = (xValues, yValues, method = 'pearson') => {
+    switch (method) {
+      case 'spearman':
+        return calculateSpearmanCorrelation(xValues, yValues);
+      case 'kendall':
+        return calculateKendallCorrelation(xValues, yValues);
+      case 'pearson':
+      default:
+        return calculatePearsonCorrelation(xValues, yValues);
+    }
+  };
+  
+  /**
+   * Natural log of the gamma function (Lanczos approximation)
+   */
+  const logGamma = (x) => {
+    const coefficients = [
+      676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+      9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+    
+    // Reflection formula for small arguments
+    if (x < 0.5) {
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    }
+    
+    x -= 1;
+    let sum = 0.99999999999980993;
+    for (let i = 0; i < coefficients.length; i++) {
+      sum += coefficients[i] / (x + i + 1);
+    }
+    
+    const t = x + coefficients.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+  };
+  
+  /**
+   * Continued fraction used by the regularized incomplete beta function
+   * (modified Lentz's method)
+   */
+  const betaContinuedFraction = (x, a, b) => {
+    const maxIterations = 200;
+    const epsilon = 3e-14;
+    const tiny = 1e-300;
+    
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+    
+    for (let m = 1; m <= maxIterations; m++) {
+      const m2 = 2 * m;
+      
+      // Even step
+      let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      result *= d * c;
+      
+      // Odd step
+      numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+      
+      if (Math.abs(delta - 1) < epsilon) break;
+    }
+    
+    return result;
+  };
+  
+  /**
+   * Regularized incomplete beta function I_x(a, b)
+   */
+  const regularizedIncompleteBeta = (x, a, b) => {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    
+    const front = Math.exp(
+      logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+    
+    // Use the symmetry relation where the continued fraction converges faster
+    if (x < (a + 1) / (a + b + 2)) {
+      return front * betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+  };
+  
+  /**
+   * Two-tailed p-value of a Student's t statistic
+   */
+  const studentTPValue = (t, degreesOfFreedom) => {
+    if (!isFinite(t)) return 0;
+    return regularizedIncompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+  };
+  
+  /**
+   * Two-tailed p-value of a standard normal statistic
+   * Uses a Chebyshev fit of erfc (fractional error below 1.2e-7)
+   */
+  const normalPValue = (z) => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+      t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+      t * (-0.82215223 + t * 0.17087277)))))))));
+    return Math.min(erfc, 1);
+  };
+  
+  /**
+   * Calculate significance statistics for a correlation coefficient
+   * - pearson/spearman: t = r * sqrt((n - 2) / (1 - r²)) with n - 2 degrees of freedom
+   * - kendall: normal approximation z = 3τ * sqrt(n(n - 1)) / sqrt(2(2n + 5))
+   * The 95% confidence interval uses the Fisher z-transform, with the
+   * Bonett-Wright / Fieller standard errors for the rank-based methods
+   */
+  exports.calculateCorrelationSignificance = (correlation, sampleSize, method = 'pearson') => {
+    const n = sampleSize;
+    const r = Math.max(-1, Math.min(1, correlation));
+    const result = { sampleSize: n };
+    let pValue = null;
+    
+    if (method === 'kendall') {
+      result.zStatistic = null;
+      if (n >= 2) {
+        const z = 3 * r * Math.sqrt(n * (n - 1)) / Math.sqrt(2 * (2 * n + 5));
+        result.zStatistic = parseFloat(z.toFixed(4));
+        pValue = normalPValue(z);
+      }
+    } else {
+      const degreesOfFreedom = n - 2;
+      result.tStatistic = null;
+      result.degreesOfFreedom = degreesOfFreedom;
+      if (degreesOfFreedom > 0) {
+        // A perfect correlation has an infinite t statistic (reported as null)
+        const t = Math.abs(r) === 1
+          ? Math.sign(r) * Infinity
+          : r * Math.sqrt(degreesOfFreedom / (1 - r * r));
+        result.tStatistic = isFinite(t) ? parseFloat(t.toFixed(4)) : null;
+        pValue = studentTPValue(t, degreesOfFreedom);
+      }
+    }
+    
+    result.pValue = pValue === null ? null : parseFloat(pValue.toPrecision(4));
+    result.confidenceInterval = null;
+    
+    // Standard error of the Fisher-transformed coefficient
+    let standardError = null;
+    if (method === 'kendall' && n > 4) {
+      standardError = Math.sqrt(0.437 / (n - 4));
+    } else if (method === 'spearman' && n > 3) {
+      standardError = Math.sqrt(1.06 / (n - 3));
+    } else if (method === 'pearson' && n > 3) {
+      standardError = 1 / Math.sqrt(n - 3);
+    }
+    
+    if (standardError !== null) {
+      const criticalValue = 1.959963984540054; // 97.5th percentile of N(0, 1)
+      
+      // Clamp away from ±1 so the transform stays finite
+      const fisherZ = Math.atanh(Math.max(-0.9999999, Math.min(0.9999999, r)));
+      result.confidenceInterval = {
+        level: 0.95,
+        lower: parseFloat(Math.tanh(fisherZ - criticalValue * standardError).toFixed(4)),
+        upper: parseFloat(Math.tanh(fisherZ + criticalValue * standardError).toFixed(4))
+      };
+    }
+    
+    return result;
+  };
+  
+  /**
+   * Convert a price series into period-over-period returns
+   * 'returns' gives simple returns, 'logReturns' gives natural log returns
+   */
+  exports.calculateReturns = (prices, type = 'returns') => {
+    if (!prices || prices.length <= 1) return [];
+    
+    const returns = [];
+    for (let i = 1; i < prices.length; i++) {
+      const previous = prices[i - 1];
+      const current = prices[i];
+      
+      if (type === 'logReturns') {
+        returns.push(Math.log(current / previous));
+      } else {
+        returns.push((current - previous) / previous);
+      }
+    }
+    
+    return returns;
+  };
+  
+  /**
+   * Calculate the q-th quantile (0..1) with linear interpolation between order statistics
+   */
+  const calculateQuantile = (numbers, q) => {
+    if (!numbers || numbers.length === 0) return null;
+    
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  };
+  
+  // Trading minutes in a year (252 sessions of 6.5 hours)
+  const TRADING_MINUTES_PER_YEAR = 252 * 390;
+  
+  /**
+   * Estimate how many sampling periods fit in a trading year
+   * based on the average spacing between timestamps
+   * Returns null when the spacing cannot be determined
+   */
+  exports.estimatePeriodsPerYear = (timestamps) => {
+    if (!timestamps || timestamps.length <= 1) return null;
+    
+    const times = timestamps.map(t => new Date(t).getTime());
+    const spanMinutes = (Math.max(...times) - Math.min(...times)) / 60000;
+    if (spanMinutes <= 0) return null;
+    
+    const averagePeriodMinutes = spanMinutes / (times.length - 1);
+    return TRADING_MINUTES_PER_YEAR / averagePeriodMinutes;
+  };
+  
+  /**
+   * Calculate the largest peak-to-trough decline as a fraction of the peak
+   * Returns the drawdown with the indexes of the peak and trough
+   */
+  exports.calculateMaxDrawdown = (prices) => {
+    if (!prices || prices.length === 0) return null;
+    
+    let peakIndex = 0;
+    let result = { drawdown: 0, peakIndex: 0, troughIndex: 0 };
+    
+    for (let i = 1; i < prices.length; i++) {
+      if (prices[i] > prices[peakIndex]) {
+        peakIndex = i;
+        continue;
+      }
+      
+      const drawdown = (prices[peakIndex] - prices[i]) / prices[peakIndex];
+      if (drawdown > result.drawdown) {
+        result = { drawdown, peakIndex, troughIndex: i };
+      }
+    }
+    
+    return result;
+  };
+  
+  /**
+   * Calculate historical Value-at-Risk from a series of returns
+   * Reported as a positive loss fraction: the loss not exceeded with the given confidence
+   */
+  exports.calculateHistoricalVaR = (returns, confidence = 0.95) => {
+    if (!returns || returns.length === 0) return null;
+    return -calculateQuantile(returns, 1 - confidence);
+  };
+  
+  /**
+   * Calculate the time-weighted average price over a window
+   * Each price is weighted by how long it was in effect: from its tick until
+   * the next tick, and the last one until the window end. The stretch before
+   * the first tick is weighted with openingPrice (the price in effect at the
+   * window start) when it is known, and left out otherwise.
+   * Returns the average with the number of milliseconds it covers
+   */
+  exports.calculateTimeWeightedAverage = (priceHistory, windowStart, windowEnd, openingPrice = null) => {
+    const ticks = (priceHistory || [])
+      .map(entry => ({ price: entry.price, time: new Date(entry.lastUpdatedAt).getTime() }))
+      .filter(entry => entry.time >= windowStart && entry.time <= windowEnd)
+      .sort((a, b) => a.time - b.time);
+    
+    if (ticks.length === 0) {
+      return openingPrice === null ? null : { value: openingPrice, coveredMs: windowEnd - windowStart };
+    }
+    
+    let weightedSum = 0;
+    let coveredMs = 0;
+    
+    // First segment: window start until the first tick
+    if (openingPrice !== null) {
+      const duration = ticks[0].time - windowStart;
+      weightedSum += openingPrice * duration;
+      coveredMs += duration;
+    }
+    
+    // Each tick holds until the next one, the last until the window end
+    ticks.forEach((tick, i) => {
+      const segmentEnd = i + 1 < ticks.length ? ticks[i + 1].time : windowEnd;
+      const duration = segmentEnd - tick.time;
+      weightedSum += tick.price * duration;
+      coveredMs += duration;
+    });
+    
+    // Every tick sits on the same instant as the window end - nothing to weight
+    if (coveredMs === 0) {
+      return { value: ticks[ticks.length - 1].price, coveredMs: 0 };
+    }
+    
+    return { value: weightedSum / coveredMs, coveredMs };
+  };
+  
   /**
    * Calculate different aggregations based on type
    */
@@ -258,4 +666,87 @@ const calculateMean = (numbers) => {
     }
     
     return null;
-  };
\ No newline at end of file
+  };
+  
+  /**
+   * Align several price histories onto a common time grid
+   * Grid points fall every intervalMs back from windowEnd; each series takes the
+   * last price at or before the point (carried forward between ticks). Points
+   * before every series has a price are dropped, so histories that reach back
+   * past windowStart let the grid start right at the window start.
+   * Returns { timestamps, series } with one price array per history
+   */
+  exports.alignPriceSeries = (histories, windowStart, windowEnd, intervalMs) => {
+    const gridPoints = [];
+    for (let time = windowEnd; time >= windowStart; time -= intervalMs) {
+      gridPoints.unshift(time);
+    }
+    
+    // Walk each (sorted) history along the grid
+    const sampled = histories.map(history => {
+      const prices = [];
+      let index = 0;
+      let lastPrice = null;
+      
+      gridPoints.forEach(time => {
+        while (index < history.length && new Date(history[index].lastUpdatedAt).getTime() <= time) {
+          lastPrice = history[index].price;
+          index++;
+        }
+        prices.push(lastPrice);
+      });
+      
+      return prices;
+    });
+    
+    // Keep the points where every series is priced
+    const keep = gridPoints.map((_, i) => sampled.every(prices => prices[i] !== null));
+    
+    return {
+      timestamps: gridPoints.filter((_, i) => keep[i]).map(time => new Date(time).toISOString()),
+      series: sampled.map(prices => prices.filter((_, i) => keep[i]))
+    };
+  };
+  
+  /**
+   * Calculate the sample covariance matrix of several equally long series
+   */
+  exports.calculateCovarianceMatrix = (seriesList) => {
+    return seriesList.map(xValues => seriesList.map(yValues => calculateCovariance(xValues, yValues)));
+  };
+  
+  /**
+   * Calculate the volatility of a weighted portfolio and how much each holding adds to it
+   * Volatility is sqrt(w' C w) for covariance matrix C. A holding's marginal
+   * contribution is the change in volatility per unit of extra weight, (C w)_i / volatility;
+   * its component contribution is weight * marginal, and the components sum to the volatility.
+   * Returns { variance, volatility, marginal, component }
+   */
+  exports.calculatePortfolioRisk = (covarianceMatrix, weights) => {
+    const weightedCovariance = covarianceMatrix.map(row =>
+      row.reduce((sum, covariance, j) => sum + covariance * weights[j], 0));
+    const variance = weights.reduce((sum, weight, i) => sum + weight * weightedCovariance[i], 0);
+    const volatility = Math.sqrt(Math.max(variance, 0));
+    
+    // Without any variance there is no risk to attribute
+    const marginal = weightedCovariance.map(value => (volatility > 0 ? value / volatility : 0));
+    
+    return {
+      variance,
+      volatility,
+      marginal,
+      component: marginal.map((value, i) => value * weights[i])
+    };
+  };
+  
+  /**
+   * Calculate beta of a return series against a benchmark's returns
+   * Beta is cov(returns, benchmark) / var(benchmark); null for a flat benchmark
+   */
+  exports.calculateBeta = (returns, benchmarkReturns) => {
+    const benchmarkVariance = calculateCovariance(benchmarkReturns, benchmarkReturns);
+    if (benchmarkVariance === 0) {
+      return null;
+    }
+    return calculateCovariance(returns, benchmarkReturns) / benchmarkVariance;
+  };
@@ -0,0 +1,28 @@
+// utils/requestContext.js - Per-request context carried across async calls
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware that opens a context for the rest of the request
+ * The context is also attached to req so loggers can read it once the
+ * response has finished
+ */
+const requestContext = (req, res, next) => {
+  const context = {
+    upstreamRetries: []   // { url, attempt, reason, delayMs } for each retry performed
+  };
+  
+  req.context = context;
+  storage.run(context, next);
+};
+
+/**
+ * The context of the request currently being handled, or undefined outside one
+ */
+const getRequestContext = () => storage.getStore();
+
+module.exports = {
+  requestContext,
+  getRequestContext
+};
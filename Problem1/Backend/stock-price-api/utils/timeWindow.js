@@ -0,0 +1,70 @@
+// utils/timeWindow.js - Utilities for the time window a request covers
+//
+// Validated params describe a window in one of two ways:
+// - relative: { minutes } - the last m minutes, ending when the request is served
+// - absolute: { from, to } - normalized ISO strings; a null to means "until now"
+
+/**
+ * Resolve a window's bounds
+ * Returns { start, end, minutes, absolute } with start/end in epoch ms and
+ * minutes the window's length
+ */
+const resolveTimeWindow = ({ minutes, from, to }, now = Date.now()) => {
+  if (from === undefined) {
+    return { start: now - minutes * 60 * 1000, end: now, minutes, absolute: false };
+  }
+  
+  const start = new Date(from).getTime();
+  const end = to === null || to === undefined ? now : new Date(to).getTime();
+  return { start, end, minutes: (end - start) / (60 * 1000), absolute: true };
+};
+
+/**
+ * The effective window, for echoing in responses
+ */
+const describeTimeWindow = (window) => {
+  return {
+    type: window.absolute ? 'absolute' : 'relative',
+    from: new Date(window.start).toISOString(),
+    to: new Date(window.end).toISOString(),
+    minutes: window.minutes
+  };
+};
+
+/**
+ * Phrase a window for messages, e.g. "in the last 30 minutes"
+ */
+const formatTimeWindow = (window) => {
+  if (!window.absolute) {
+    return `in the last ${window.minutes} minutes`;
+  }
+  return `between ${new Date(window.start).toISOString()} and ${new Date(window.end).toISOString()}`;
+};
+
+/**
+ * Work out how long a result over a window can be cached (seconds)
+ * A window that ended in the past won't change, so it gets maxTtl; other
+ * windows follow the usual rule - more recent = shorter TTL
+ */
+const calculateWindowTtl = (window, minTtl, maxTtl, now = Date.now()) => {
+  if (window.absolute && window.end < now) {
+    return maxTtl;
+  }
+  return Math.min(Math.max(window.minutes * 0.1, minTtl), maxTtl);
+};
+
+/**
+ * Cache key fragment identifying a window
+ * Relative windows key on their length, absolute ones on their normalized bounds
+ */
+const getWindowKey = ({ minutes, from, to }) => {
+  return from === undefined ? `${minutes}` : `${from}~${to || 'now'}`;
+};
+
+module.exports = {
+  resolveTimeWindow,
+  describeTimeWindow,
+  formatTimeWindow,
+  calculateWindowTtl,
+  getWindowKey
+};